@@ -1,3 +1,9 @@
+// This is the original 100K-only loader and no page loads it. The loader that
+// reads every MovieLens release (u.item/u.data, the ::-delimited .dat files
+// of ML-1M/10M and the CSV files of ML-latest/25M) and validates them is
+// week2/data.js with week2/validation.js, which week2 and week3 both import;
+// new pages should import those modules instead of loading this file.
+
 // Global variables for storing movie and rating data
 let movies = [];
 let ratings = [];
@@ -19,7 +25,7 @@ async function loadData() {
             throw new Error(`Failed to load movie data: ${moviesResponse.status}`);
         }
         const moviesText = await moviesResponse.text();
-        parseItemData(moviesText);
+        const skippedMovies = parseItemData(moviesText);
 
         // Load and parse rating data
         const ratingsResponse = await fetch('u.data');
@@ -27,7 +33,11 @@ async function loadData() {
             throw new Error(`Failed to load rating data: ${ratingsResponse.status}`);
         }
         const ratingsText = await ratingsResponse.text();
-        parseRatingData(ratingsText);
+        const skippedRatings = parseRatingData(ratingsText);
+
+        if (skippedMovies > 0 || skippedRatings > 0) {
+            console.warn(`Skipped ${skippedMovies} malformed movie lines and ${skippedRatings} malformed or out-of-range rating lines`);
+        }
     } catch (error) {
         console.error('Error loading data:', error);
         const resultElement = document.getElementById('result');
@@ -39,42 +49,55 @@ async function loadData() {
     }
 }
 
-// Parse movie data from u.item format
+// Parse movie data from u.item format; returns the number of lines skipped
 function parseItemData(text) {
     const lines = text.split('\n');
+    let skipped = 0;
     
     for (const line of lines) {
         if (line.trim() === '') continue;
         
         const fields = line.split('|');
-        if (fields.length < 5) continue; // Skip invalid lines
-        
         const id = parseInt(fields[0]);
+        // 5 leading fields, the "unknown" flag, then one flag per genre
+        if (fields.length < 6 + genreNames.length || isNaN(id)) {
+            skipped++;
+            continue;
+        }
+        
         const title = fields[1];
         
-        // Extract genres (last 19 fields)
-        const genreValues = fields.slice(5, 24).map(value => parseInt(value));
+        // The last 18 fields line up with genreNames; the "unknown" flag before them is not a genre
+        const genreValues = fields.slice(-genreNames.length).map(value => parseInt(value));
         const genres = genreNames.filter((_, index) => genreValues[index] === 1);
         
         movies.push({ id, title, genres });
     }
+    
+    return skipped;
 }
 
-// Parse rating data from u.data format
+// Parse rating data from u.data format; returns the number of lines skipped
 function parseRatingData(text) {
     const lines = text.split('\n');
+    let skipped = 0;
     
     for (const line of lines) {
         if (line.trim() === '') continue;
         
         const fields = line.split('\t');
-        if (fields.length < 4) continue; // Skip invalid lines
-        
         const userId = parseInt(fields[0]);
         const itemId = parseInt(fields[1]);
         const rating = parseFloat(fields[2]);
         const timestamp = parseInt(fields[3]);
         
+        if (fields.length < 4 || isNaN(userId) || isNaN(itemId) || isNaN(timestamp) || !(rating >= 1 && rating <= 5)) {
+            skipped++;
+            continue;
+        }
+        
         ratings.push({ userId, itemId, rating, timestamp });
     }
+    
+    return skipped;
 }
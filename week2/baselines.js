@@ -0,0 +1,99 @@
+// baselines.js holds simple recommenders that need no training run: the
+// global mean, a damped per-movie mean, raw popularity and a user + item bias
+// model. They are the yardstick for the TensorFlow.js models: a model that
+// cannot beat the damped item mean has not learned anything personal.
+
+import { numMovies, numUsers, ratings, userIndexById } from './data.js';
+
+// Pseudo-ratings at the global mean added to every movie's average, so a movie
+// with two 5-star ratings does not outrank one with hundreds of 4.5s.
+const ITEM_MEAN_DAMPING = 10;
+// Regularisation of the bias baseline, as suggested by Koren's "Factor in the
+// Neighbors" paper: item biases are shrunk harder because they are estimated
+// first and absorb most of the signal.
+const BIAS_ITEM_DAMPING = 25;
+const BIAS_USER_DAMPING = 10;
+
+// `predictsRatings` is false for baselines whose scores are not on the star
+// scale, which only makes sense for the ranking metrics.
+export const BASELINES = [
+  { id: 'global-mean', label: 'Global mean', predictsRatings: true },
+  { id: 'damped-item-mean', label: 'Damped item mean', predictsRatings: true },
+  { id: 'popularity', label: 'Most popular', predictsRatings: false },
+  { id: 'bias', label: 'User + item bias', predictsRatings: true }
+];
+
+export function isBaselineId(id) {
+  return BASELINES.some((baseline) => baseline.id === id);
+}
+
+/**
+ * Fit a baseline on rows of the shared `ratings` table (all rows when `rows`
+ * is null). Returns the baseline's definition plus `scoreUser(userId)`, which
+ * gives one score per entry in `movies` like `scoreAllMovies` does, so
+ * baselines can be ranked and evaluated exactly like the trained models.
+ */
+export function fitBaseline(id, rows = null) {
+  const definition = BASELINES.find((baseline) => baseline.id === id);
+  if (!definition) {
+    throw new Error(`Unknown baseline: ${id}`);
+  }
+
+  const rowCount = rows ? rows.length : ratings.length;
+  const rowAt = (position) => (rows ? rows[position] : position);
+
+  let total = 0;
+  const movieSums = new Float64Array(numMovies);
+  const movieCounts = new Int32Array(numMovies);
+  for (let position = 0; position < rowCount; position += 1) {
+    const row = rowAt(position);
+    total += ratings.values[row];
+    movieSums[ratings.movieIndices[row]] += ratings.values[row];
+    movieCounts[ratings.movieIndices[row]] += 1;
+  }
+  const globalMean = rowCount > 0 ? total / rowCount : 0;
+
+  const movieScores = new Float32Array(numMovies);
+  let userBiases = null;
+
+  if (id === 'global-mean') {
+    movieScores.fill(globalMean);
+  } else if (id === 'damped-item-mean') {
+    for (let i = 0; i < numMovies; i += 1) {
+      movieScores[i] = (movieSums[i] + ITEM_MEAN_DAMPING * globalMean) / (movieCounts[i] + ITEM_MEAN_DAMPING);
+    }
+  } else if (id === 'popularity') {
+    movieScores.set(movieCounts);
+  } else {
+    // Closed-form baseline estimates: item biases from the residuals after the
+    // global mean, then user biases from the residuals after both.
+    for (let i = 0; i < numMovies; i += 1) {
+      const movieBias = (movieSums[i] - movieCounts[i] * globalMean) / (movieCounts[i] + BIAS_ITEM_DAMPING);
+      movieScores[i] = globalMean + movieBias;
+    }
+
+    const userSums = new Float64Array(numUsers);
+    const userCounts = new Int32Array(numUsers);
+    for (let position = 0; position < rowCount; position += 1) {
+      const row = rowAt(position);
+      userSums[ratings.userIndices[row]] += ratings.values[row] - movieScores[ratings.movieIndices[row]];
+      userCounts[ratings.userIndices[row]] += 1;
+    }
+
+    userBiases = new Float32Array(numUsers);
+    for (let u = 0; u < numUsers; u += 1) {
+      userBiases[u] = userSums[u] / (userCounts[u] + BIAS_USER_DAMPING);
+    }
+  }
+
+  return {
+    ...definition,
+    scoreUser: (userId) => {
+      const userIndex = userIndexById[userId];
+      if (!userBiases || userIndex === undefined) {
+        return movieScores;
+      }
+      return movieScores.map((score) => score + userBiases[userIndex]);
+    }
+  };
+}
@@ -1,134 +1,806 @@
 // The data.js file keeps all MovieLens parsing logic isolated from the UI and
-// TensorFlow-specific code in script.js. Exposing the shared state (movies,
-// ratings, and the lookup tables) via globals keeps the project simple while
-// still making the responsibilities of each file clear.
-let movies = [];
-let ratings = [];
-let userIds = [];
-let numUsers = 0;
-let numMovies = 0;
-let userIndexById = {};
-let movieIndexById = {};
-
-/**
- * Fetch and parse the MovieLens metadata and ratings files.
- * Any UI errors are thrown so the caller can surface them to the user.
- */
-async function loadData() {
+// TensorFlow-specific code in script.js. The shared state (movies, ratings,
+// and the lookup tables) is exported as live bindings: every module that
+// imports `movies` sees the list the last load produced, but only the
+// functions here can replace it. Being a module, there is one dataset per
+// page (or Node process).
+
+import { assertDataQuality, createDataQualityReport, recordDataIssue } from './validation.js';
+
+// Ratings are stored column-wise in typed arrays rather than as one object per
+// rating: `ratings.userIndices[row]`, `ratings.movieIndices[row]`,
+// `ratings.values[row]` and `ratings.timestamps[row]` describe one rating, and
+// `ratings.length` is the row count. At 25M ratings an object per row would
+// need gigabytes; the columns need 16 bytes per rating and can be handed to
+// TensorFlow.js and the training worker without conversion. Rows are grouped by
+// user, so `getUserRatingRows` can return a user's ratings without scanning.
+export let movies = [];
+export let ratings = createRatingTable(0);
+export let userIds = [];
+export let numUsers = 0;
+export let numMovies = 0;
+export let userIndexById = {};
+export let movieIndexById = {};
+// Demographics keyed by MovieLens user ID: { age, gender, occupation, zip }.
+// Only the 100K and 1M releases ship them, so this is often empty.
+export let userProfiles = {};
+// userRatingOffsets[u]..userRatingOffsets[u + 1] is the row range of user u.
+let userRatingOffsets = new Int32Array(1);
+// What the parsers skipped or distrusted in the files last read (see
+// validation.js). After a failed load it describes the rejected files, while
+// the tables above still hold the previous dataset.
+export let dataQualityReport = createDataQualityReport();
+
+// Genre names in the order of the u.item genre flags. The file has one extra
+// leading "unknown" flag that we skip, so these line up with fields 6–23.
+const genreNames = [
+  'Action', 'Adventure', 'Animation', "Children's", 'Comedy',
+  'Crime', 'Documentary', 'Drama', 'Fantasy', 'Film-Noir',
+  'Horror', 'Musical', 'Mystery', 'Romance', 'Sci-Fi',
+  'Thriller', 'War', 'Western'
+];
+const GENRE_FLAGS_OFFSET = 6;
+
+// The 1M release stores occupations as codes; its README lists these names.
+const OCCUPATION_CODES_1M = [
+  'other', 'academic/educator', 'artist', 'clerical/admin', 'college/grad student',
+  'customer service', 'doctor/health care', 'executive/managerial', 'farmer',
+  'homemaker', 'K-12 student', 'lawyer', 'programmer', 'retired',
+  'sales/marketing', 'scientist', 'self-employed', 'technician/engineer',
+  'tradesman/craftsman', 'unemployed', 'writer'
+];
+
+// MovieLens releases the dataset picker offers. Paths are relative to
+// index.html; only the 100K ratings and movies ship with the demo, so unzip
+// the larger releases next to the page (keeping their folder names) before
+// selecting them, and copy u.user from the 100K zip for its demographics.
+// `users` is optional: releases without demographics simply leave it out.
+export const DATASET_SOURCES = [
+  { id: 'ml-100k', label: 'MovieLens 100K', items: 'u.item', ratings: 'u.data', users: 'u.user' },
+  { id: 'ml-1m', label: 'MovieLens 1M', items: 'ml-1m/movies.dat', ratings: 'ml-1m/ratings.dat', users: 'ml-1m/users.dat' },
+  { id: 'ml-10m', label: 'MovieLens 10M', items: 'ml-10M100K/movies.dat', ratings: 'ml-10M100K/ratings.dat' },
+  { id: 'ml-latest-small', label: 'MovieLens Latest (small)', items: 'ml-latest-small/movies.csv', ratings: 'ml-latest-small/ratings.csv' },
+  { id: 'ml-25m', label: 'MovieLens 25M', items: 'ml-25m/movies.csv', ratings: 'ml-25m/ratings.csv' }
+];
+
+/**
+ * Fetch and parse a MovieLens movies file and ratings file.
+ * `source.items` and `source.ratings` are either paths relative to the page or
+ * File objects picked by the user; the file format is detected from the
+ * contents, so any supported release can be mixed with either kind of input.
+ * The ratings file is parsed while it streams in, and `onProgress` receives
+ * `{ loadedBytes, totalBytes }` after each chunk (`totalBytes` is null when
+ * the server does not report a size).
+ * Problems found in the files are collected in `dataQualityReport`; with
+ * `strict` set, any that lose data fail the load once parsing is done.
+ * Pages that never use demographics pass `demographics: false`, so the users
+ * file is neither fetched nor reported missing.
+ * Any UI errors are thrown so the caller can surface them to the user. A
+ * failed load leaves the previously loaded dataset in place, so nothing
+ * derived from it (pickers, hashes, counts) goes stale.
+ */
+export async function loadData(source = DATASET_SOURCES[0], onProgress = () => {}, { strict = false, demographics = true } = {}) {
+  const previous = snapshotDataset();
+
   // Reset state to avoid leaking values if the function is invoked twice.
+  resetDataset();
+
+  try {
+    // Movies must be parsed first: ratings are mapped onto movie indices as
+    // the stream is finalised.
+    const items = await readDatasetFile(source.items);
+    parseItemData(items.text, items.encoding);
+    await streamRatingData(source.ratings, onProgress);
+  } catch (error) {
+    console.error('Error while loading MovieLens data', error);
+    restoreDataset(previous, { keepReport: true });
+    throw error;
+  }
+
+  if (source.users && demographics) {
+    // Demographics only feed the feature-aware model, so a missing users file
+    // is not worth failing the whole load over, but it is reported.
+    try {
+      parseUserData((await readDatasetFile(source.users)).text);
+    } catch (error) {
+      console.warn('Unable to load user demographics', error);
+      recordDataIssue(dataQualityReport, 'users-file', { text: error.message });
+    }
+  }
+
+  if (strict) {
+    try {
+      assertDataQuality(dataQualityReport);
+    } catch (error) {
+      restoreDataset(previous, { keepReport: true });
+      throw error;
+    }
+  }
+}
+
+/**
+ * Empty every table and start a fresh data quality report.
+ */
+export function resetDataset() {
   movies = [];
-  ratings = [];
+  ratings = createRatingTable(0);
   userIds = [];
   numUsers = 0;
   numMovies = 0;
   userIndexById = {};
   movieIndexById = {};
+  userRatingOffsets = new Int32Array(1);
+  userProfiles = {};
+  dataQualityReport = createDataQualityReport();
+}
 
+/**
+ * Capture the loaded dataset so a failed load or update can put it back with
+ * `restoreDataset`. `addMovie` and `addRatings` extend the movie list, the
+ * user list and the lookup tables in place, so those are copied; the rest is
+ * only ever replaced, never modified.
+ */
+export function snapshotDataset() {
+  return {
+    movies: movies.slice(),
+    ratings,
+    userIds: userIds.slice(),
+    numUsers,
+    numMovies,
+    userIndexById: { ...userIndexById },
+    movieIndexById: { ...movieIndexById },
+    userProfiles,
+    userRatingOffsets,
+    dataQualityReport
+  };
+}
+
+/**
+ * Put back a dataset captured by `snapshotDataset`. With `keepReport`,
+ * `dataQualityReport` keeps describing the files that were just rejected.
+ */
+export function restoreDataset(snapshot, { keepReport = false } = {}) {
+  const report = dataQualityReport;
+  ({
+    movies,
+    ratings,
+    userIds,
+    numUsers,
+    numMovies,
+    userIndexById,
+    movieIndexById,
+    userProfiles,
+    userRatingOffsets,
+    dataQualityReport
+  } = snapshot);
+  if (keepReport) {
+    dataQualityReport = report;
+  }
+}
+
+/**
+ * Read a dataset file from a path or a File object and decode it as text.
+ * Resolves to `{ text, encoding }` (see `decodeDatasetText`).
+ */
+async function readDatasetFile(input) {
+  if (typeof input !== 'string') {
+    return decodeDatasetText(await input.arrayBuffer());
+  }
+
+  const response = await fetch(input);
+  if (!response.ok) {
+    throw new Error(`Unable to load ${input} (status ${response.status})`);
+  }
+
+  return decodeDatasetText(await response.arrayBuffer());
+}
+
+/**
+ * The 100K and 1M releases are Latin-1 encoded while the newer CSV releases
+ * use UTF-8. Decoding strictly as UTF-8 first and falling back to
+ * Windows-1252 (a superset of Latin-1) reads both without mangling titles.
+ * Returns `{ text, encoding }` with the encoding that worked.
+ */
+function decodeDatasetText(buffer) {
   try {
-    const [moviesResponse, ratingsResponse] = await Promise.all([
-      fetch('u.item'),
-      fetch('u.data')
-    ]);
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
+  }
+}
 
-    if (!moviesResponse.ok) {
-      throw new Error(`Unable to load u.item (status ${moviesResponse.status})`);
-    }
+/**
+ * Work out which MovieLens release a file comes from by looking at its first
+ * line: `::` separates fields in the 1M/10M .dat files, the 100K files use
+ * pipes (u.item) or tabs (u.data), and the latest/25M releases are CSV.
+ */
+export function detectDatasetFormat(text) {
+  const lineEnd = text.indexOf('\n');
+  const firstLine = lineEnd === -1 ? text : text.slice(0, lineEnd);
+
+  if (firstLine.includes('::')) return 'dat';
+  if (firstLine.includes('|') || firstLine.includes('\t')) return 'ml-100k';
+  if (firstLine.includes(',')) return 'csv';
+
+  throw new Error('Unrecognised dataset format. Expected MovieLens 100K, .dat or .csv files.');
+}
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields such as
+ * `"American President, The (1995)"` and doubled quotes inside them.
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
 
-    if (!ratingsResponse.ok) {
-      throw new Error(`Unable to load u.data (status ${ratingsResponse.status})`);
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
     }
+  }
+
+  fields.push(current);
+  return fields;
+}
 
-    const [moviesText, ratingsText] = await Promise.all([
-      moviesResponse.text(),
-      ratingsResponse.text()
-    ]);
+/**
+ * Split the fields of one line according to the detected format.
+ */
+function splitDatasetLine(line, format, hundredKDelimiter) {
+  if (format === 'dat') return line.split('::');
+  if (format === 'csv') return splitCsvLine(line);
+  return line.split(hundredKDelimiter);
+}
 
-    // Both parsers mutate the module-level variables so the rest of the app
-    // can immediately rely on the populated arrays and lookup tables.
-    parseItemData(moviesText);
-    parseRatingData(ratingsText);
-  } catch (error) {
-    console.error('Error while loading MovieLens data', error);
-    throw error;
+/**
+ * The .dat and .csv releases list genres as one pipe-separated field.
+ */
+function splitGenreList(value) {
+  const trimmed = (value ?? '').trim();
+  if (!trimmed || trimmed === '(no genres listed)') {
+    return [];
   }
+  return trimmed.split('|');
 }
 
 /**
- * Parse the MovieLens item metadata (u.item) and populate the movies array.
- * Each movie is stored with its numeric ID and title. We also create an index
- * so the TensorFlow model can work with densely packed IDs.
+ * Parse the MovieLens item metadata (u.item, movies.dat or movies.csv) and
+ * populate the movies array. Each movie is stored with its numeric ID, title
+ * and genre names. We also create an index so the TensorFlow model can work
+ * with densely packed IDs. `encoding` is the one the text was decoded with,
+ * which tells whether non-ASCII titles came from a Latin-1 file.
  */
-function parseItemData(text) {
+export function parseItemData(text, encoding = 'utf-8') {
   movies = [];
   movieIndexById = {};
 
+  const format = detectDatasetFormat(text);
   const lines = text.split('\n');
 
-  for (const line of lines) {
-    if (!line.trim()) continue;
-
-    const fields = line.split('|');
-    if (fields.length < 2) continue;
+  lines.forEach((rawLine, lineIndex) => {
+    const line = rawLine.replace(/\r$/, '');
+    if (!line.trim()) return;
 
+    const fields = splitDatasetLine(line, format, '|');
     const id = parseInt(fields[0], 10);
+    // The CSV header row is the only line allowed to have no numeric ID.
+    if (format === 'csv' && lineIndex === 0 && Number.isNaN(id)) return;
+
+    dataQualityReport.movieLines += 1;
+    const example = { line: lineIndex + 1, text: line };
+    if (fields.length < 2 || Number.isNaN(id)) {
+      recordDataIssue(dataQualityReport, 'malformed-movie', example);
+      return;
+    }
+    if (movieIndexById[id] !== undefined) {
+      recordDataIssue(dataQualityReport, 'duplicate-movie', example);
+      return;
+    }
+    if (format === 'ml-100k' && fields.length !== GENRE_FLAGS_OFFSET + genreNames.length) {
+      recordDataIssue(dataQualityReport, 'genre-flags', example);
+    }
+
     const title = fields[1];
+    // C1 control characters and U+FFFD are bytes that did not decode; "Ã"
+    // followed by another Latin-1 letter is UTF-8 that was decoded as Latin-1
+    // before it was saved.
+    if (/[\u0080-\u009f\ufffd]|Ã[\u0080-\u00bf]/.test(title)) {
+      recordDataIssue(dataQualityReport, 'title-encoding', example);
+    } else if (encoding !== 'utf-8' && /[^\x00-\x7f]/.test(title)) {
+      recordDataIssue(dataQualityReport, 'latin-1-title', example);
+    }
+
+    // The content-based and hybrid recommenders compare movies by genre. The
+    // 100K release stores genres as 0/1 flags, the others as a name list.
+    const genres = format === 'ml-100k'
+      ? genreNames.filter(
+        (_, genreIndex) => parseInt(fields[GENRE_FLAGS_OFFSET + genreIndex], 10) === 1
+      )
+      : splitGenreList(fields[2]);
+
+    // u.item has a release date ("01-Jan-1995") and an IMDb link; the other
+    // releases only carry the year in the title.
+    const year = format === 'ml-100k'
+      ? parseYear(fields[2], /(\d{4})$/) ?? parseYear(title, /\((\d{4})\)\s*$/)
+      : parseYear(title, /\((\d{4})\)\s*$/);
+    const imdbUrl = format === 'ml-100k' && fields[4] ? fields[4] : null;
 
     const index = movies.length;
     movieIndexById[id] = index;
     // Store each movie once while remembering its dense index. TensorFlow.js
     // embeddings expect inputs in the range [0, inputDim), so we remap the
     // sparse MovieLens identifiers to contiguous indices here.
-    movies.push({ id, title });
-  }
+    movies.push({ id, title, genres, year, imdbUrl });
+  });
 
   numMovies = movies.length;
 }
 
 /**
- * Parse the MovieLens ratings (u.data) file. The raw IDs are kept for the UI
- * while densely packed indices are generated for the TensorFlow model.
+ * Pull a four-digit year out of `text` with `pattern`, or null if absent.
  */
-function parseRatingData(text) {
-  ratings = [];
-  userIndexById = {};
+function parseYear(text, pattern) {
+  const match = (text ?? '').trim().match(pattern);
+  return match ? parseInt(match[1], 10) : null;
+}
 
-  const userIdSet = new Set();
-  const lines = text.split('\n');
+/**
+ * Parse user demographics from u.user (`id|age|gender|occupation|zip`) or
+ * users.dat (`id::gender::age::occupation::zip`, with the age bucket's lower
+ * bound as the age and a numeric occupation code) into `userProfiles`.
+ */
+export function parseUserData(text) {
+  userProfiles = {};
 
-  for (const line of lines) {
-    if (!line.trim()) continue;
+  const format = detectDatasetFormat(text);
+  text.split('\n').forEach((rawLine) => {
+    const line = rawLine.replace(/\r$/, '');
+    if (!line.trim()) return;
 
-    const fields = line.split('\t');
-    if (fields.length < 3) continue;
+    const fields = splitDatasetLine(line, format, '|');
+    const id = parseInt(fields[0], 10);
+    if (Number.isNaN(id) || fields.length < 5) return;
 
-    const userId = parseInt(fields[0], 10);
-    const movieId = parseInt(fields[1], 10);
-    const rating = parseFloat(fields[2]);
+    const profile = format === 'dat'
+      ? {
+        age: parseInt(fields[2], 10),
+        gender: fields[1],
+        occupation: OCCUPATION_CODES_1M[parseInt(fields[3], 10)] ?? 'other',
+        zip: fields[4]
+      }
+      : { age: parseInt(fields[1], 10), gender: fields[2], occupation: fields[3], zip: fields[4] };
 
-    if (Number.isNaN(userId) || Number.isNaN(movieId) || Number.isNaN(rating)) {
-      continue;
+    if (Number.isNaN(profile.age)) {
+      profile.age = null;
+    }
+    userProfiles[id] = profile;
+  });
+}
+
+/**
+ * Create an empty column table with room for `capacity` ratings.
+ */
+function createRatingTable(capacity) {
+  return {
+    length: 0,
+    userIndices: new Int32Array(capacity),
+    movieIndices: new Int32Array(capacity),
+    values: new Float32Array(capacity),
+    timestamps: new Uint32Array(capacity)
+  };
+}
+
+/**
+ * Collects parsed ratings into growable typed arrays. Until `finishRatingTable`
+ * runs, the index columns hold the raw MovieLens user and movie IDs.
+ */
+function createRatingAccumulator() {
+  return { format: null, lineNumber: 0, table: createRatingTable(1 << 16) };
+}
+
+function growRatingTable(table) {
+  const grown = createRatingTable(table.values.length * 2);
+  grown.length = table.length;
+  grown.userIndices.set(table.userIndices);
+  grown.movieIndices.set(table.movieIndices);
+  grown.values.set(table.values);
+  grown.timestamps.set(table.timestamps);
+  return grown;
+}
+
+/**
+ * Parse one ratings line (u.data, ratings.dat or ratings.csv) into the
+ * accumulator. All three formats share the user, movie, rating, timestamp
+ * column order.
+ */
+function addRatingLine(accumulator, rawLine) {
+  accumulator.lineNumber += 1;
+  const line = rawLine.replace(/\r$/, '');
+  if (!line.trim()) return;
+
+  if (!accumulator.format) {
+    accumulator.format = detectDatasetFormat(line);
+  }
+
+  const fields = splitDatasetLine(line, accumulator.format, '\t');
+  const userId = parseInt(fields[0], 10);
+  const movieId = parseInt(fields[1], 10);
+  const rating = parseFloat(fields[2]);
+  // The timestamp is optional for training but lets the evaluation module
+  // hold out each user's most recent ratings.
+  const timestamp = fields.length > 3 ? parseInt(fields[3], 10) : 0;
+
+  if (accumulator.format === 'csv' && accumulator.lineNumber === 1 && Number.isNaN(userId)) {
+    return;
+  }
+
+  dataQualityReport.ratingLines += 1;
+  const example = { line: accumulator.lineNumber, text: line };
+  if (fields.length < 3 || Number.isNaN(userId) || Number.isNaN(movieId) || Number.isNaN(rating)) {
+    recordDataIssue(dataQualityReport, 'malformed-rating', example);
+    return;
+  }
+  if (rating < 0.5 || rating > 5) {
+    recordDataIssue(dataQualityReport, 'out-of-range-rating', example);
+    return;
+  }
+
+  if (accumulator.table.length === accumulator.table.values.length) {
+    accumulator.table = growRatingTable(accumulator.table);
+  }
+
+  const { table } = accumulator;
+  const row = table.length;
+  table.userIndices[row] = userId;
+  table.movieIndices[row] = movieId;
+  table.values[row] = rating;
+  table.timestamps[row] = Number.isNaN(timestamp) ? 0 : timestamp;
+  table.length += 1;
+}
+
+/**
+ * Parse a complete ratings file held in memory. `streamRatingData` is the
+ * memory-friendly path used by `loadData`; this is handy for small inputs.
+ */
+export function parseRatingData(text) {
+  const accumulator = createRatingAccumulator();
+  text.split('\n').forEach((line) => addRatingLine(accumulator, line));
+  finishRatingTable(accumulator);
+}
+
+/**
+ * Read a ratings file chunk by chunk and parse complete lines as they arrive,
+ * so the whole file never has to exist as one string. Ratings files only
+ * contain ASCII digits and separators, so the text encoding does not matter.
+ */
+async function streamRatingData(input, onProgress) {
+  let reader;
+  let totalBytes = null;
+
+  if (typeof input === 'string') {
+    const response = await fetch(input);
+    if (!response.ok) {
+      throw new Error(`Unable to load ${input} (status ${response.status})`);
     }
+    const contentLength = parseInt(response.headers.get('Content-Length'), 10);
+    totalBytes = Number.isNaN(contentLength) ? null : contentLength;
+    reader = response.body.getReader();
+  } else {
+    totalBytes = input.size;
+    reader = input.stream().getReader();
+  }
+
+  const decoder = new TextDecoder();
+  const accumulator = createRatingAccumulator();
+  let pending = '';
+  let loadedBytes = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
 
-    userIdSet.add(userId);
-    // Keep the original IDs for the dropdowns while also retaining the raw
-    // rating value so the model can learn directly on the 1–5 star scale.
-    ratings.push({ userId, movieId, rating });
+    loadedBytes += value.byteLength;
+    pending += decoder.decode(value, { stream: true });
+
+    // Keep the trailing partial line for the next chunk.
+    const lastNewline = pending.lastIndexOf('\n');
+    if (lastNewline !== -1) {
+      pending.slice(0, lastNewline).split('\n').forEach((line) => addRatingLine(accumulator, line));
+      pending = pending.slice(lastNewline + 1);
+    }
+
+    onProgress({ loadedBytes, totalBytes });
+  }
+
+  addRatingLine(accumulator, pending + decoder.decode());
+  finishRatingTable(accumulator);
+}
+
+/**
+ * Turn the accumulated raw IDs into dense indices and publish the result as
+ * the shared `ratings` table. Users are numbered in ascending ID order, rows
+ * for movies missing from the movie list are dropped, and the rows are
+ * regrouped by user (keeping file order within each user), with one rating
+ * per user and movie (see `dropDuplicateRatings`).
+ */
+function finishRatingTable({ table: raw }) {
+  const userIdSet = new Set();
+  for (let row = 0; row < raw.length; row += 1) {
+    userIdSet.add(raw.userIndices[row]);
   }
 
   userIds = Array.from(userIdSet).sort((a, b) => a - b);
+  userIndexById = {};
   userIds.forEach((id, index) => {
     userIndexById[id] = index;
   });
   numUsers = userIds.length;
 
-  // Attach the dense indices so that script.js can train without recalculating them.
-  ratings = ratings
-    .map((entry) => ({
-      ...entry,
-      userIndex: userIndexById[entry.userId],
-      movieIndex: movieIndexById[entry.movieId]
-    }))
-    .filter((entry) =>
-      entry.userIndex !== undefined && entry.movieIndex !== undefined
-    );
+  // Map IDs to indices in place, compacting away rows with unknown movies.
+  let kept = 0;
+  for (let row = 0; row < raw.length; row += 1) {
+    const movieIndex = movieIndexById[raw.movieIndices[row]];
+    if (movieIndex === undefined) {
+      recordDataIssue(dataQualityReport, 'unknown-movie', {
+        text: `User ${raw.userIndices[row]} rated movie ${raw.movieIndices[row]}`
+      });
+      continue;
+    }
+
+    raw.userIndices[kept] = userIndexById[raw.userIndices[row]];
+    raw.movieIndices[kept] = movieIndex;
+    raw.values[kept] = raw.values[row];
+    raw.timestamps[kept] = raw.timestamps[row];
+    kept += 1;
+  }
+
+  // Counting sort by user: count rows per user, turn counts into offsets,
+  // then place each row at its user's next free slot.
+  userRatingOffsets = new Int32Array(numUsers + 1);
+  for (let row = 0; row < kept; row += 1) {
+    userRatingOffsets[raw.userIndices[row] + 1] += 1;
+  }
+  for (let user = 0; user < numUsers; user += 1) {
+    userRatingOffsets[user + 1] += userRatingOffsets[user];
+  }
+
+  const grouped = createRatingTable(kept);
+  grouped.length = kept;
+  const nextSlot = userRatingOffsets.slice(0, numUsers);
+  for (let row = 0; row < kept; row += 1) {
+    const slot = nextSlot[raw.userIndices[row]];
+    nextSlot[raw.userIndices[row]] += 1;
+    grouped.userIndices[slot] = raw.userIndices[row];
+    grouped.movieIndices[slot] = raw.movieIndices[row];
+    grouped.values[slot] = raw.values[row];
+    grouped.timestamps[slot] = raw.timestamps[row];
+  }
+
+  ratings = dropDuplicateRatings(grouped);
+}
+
+/**
+ * Keep one rating per user and movie in a table grouped by user: the most
+ * recent, or the later line when the timestamps tie, since re-rating a movie
+ * is how duplicates normally arise. Updates `userRatingOffsets` when rows go.
+ */
+function dropDuplicateRatings(table) {
+  const keptRow = new Int32Array(numMovies).fill(-1);
+  const dropped = new Uint8Array(table.length);
+  let droppedCount = 0;
+
+  for (let user = 0; user < numUsers; user += 1) {
+    const start = userRatingOffsets[user];
+    const end = userRatingOffsets[user + 1];
+
+    for (let row = start; row < end; row += 1) {
+      const movieIndex = table.movieIndices[row];
+      const previous = keptRow[movieIndex];
+      if (previous === -1) {
+        keptRow[movieIndex] = row;
+        continue;
+      }
+
+      const isNewer = table.timestamps[row] >= table.timestamps[previous];
+      dropped[isNewer ? previous : row] = 1;
+      droppedCount += 1;
+      if (isNewer) {
+        keptRow[movieIndex] = row;
+      }
+      recordDataIssue(dataQualityReport, 'duplicate-rating', {
+        text: `User ${userIds[user]} rated movie ${movies[movieIndex].id} more than once`
+      });
+    }
+
+    // Reset only this user's movies rather than the whole array.
+    for (let row = start; row < end; row += 1) {
+      keptRow[table.movieIndices[row]] = -1;
+    }
+  }
+
+  if (droppedCount === 0) {
+    return table;
+  }
+
+  const deduplicated = createRatingTable(table.length - droppedCount);
+  deduplicated.length = table.length - droppedCount;
+  const offsets = new Int32Array(numUsers + 1);
+  let next = 0;
+  for (let user = 0; user < numUsers; user += 1) {
+    for (let row = userRatingOffsets[user]; row < userRatingOffsets[user + 1]; row += 1) {
+      if (dropped[row]) continue;
+      deduplicated.userIndices[next] = table.userIndices[row];
+      deduplicated.movieIndices[next] = table.movieIndices[row];
+      deduplicated.values[next] = table.values[row];
+      deduplicated.timestamps[next] = table.timestamps[row];
+      next += 1;
+    }
+    offsets[user + 1] = next;
+  }
+
+  userRatingOffsets = offsets;
+  return deduplicated;
+}
+
+/**
+ * Add a movie that is not in the loaded movie list, at the next free index.
+ * The model needs its embedding tables grown before it can score it (see
+ * online-updates.js).
+ */
+export function addMovie({ id, title, genres = [], year = null }) {
+  if (!Number.isInteger(id)) {
+    throw new Error('Movie IDs must be whole numbers.');
+  }
+  if (movieIndexById[id] !== undefined) {
+    throw new Error(`Movie ${id} is already in the movie list.`);
+  }
+  if (!title || !title.trim()) {
+    throw new Error(`Movie ${id} needs a title.`);
+  }
+
+  movieIndexById[id] = movies.length;
+  movies.push({ id, title: title.trim(), genres, year, imdbUrl: null });
+  numMovies = movies.length;
+}
+
+/**
+ * Add ratings that arrived after the dataset was loaded. `entries` are
+ * `{ userId, movieId, rating, timestamp }`, the timestamp defaulting to now.
+ * Users not in the data yet are numbered after the existing ones; movies must
+ * already be listed (see `addMovie`). As with duplicate lines in a file, a
+ * new rating for a movie the user already rated replaces the old one.
+ *
+ * The table stays grouped by user, so it is rebuilt with each user's new
+ * ratings after their old ones. Returns the row numbers of the added and
+ * replaced ratings in the new table. Nothing changes if an entry is invalid.
+ */
+export function addRatings(entries) {
+  entries.forEach(({ userId, movieId, rating }) => {
+    if (!Number.isInteger(userId)) {
+      throw new Error('User IDs must be whole numbers.');
+    }
+    if (movieIndexById[movieId] === undefined) {
+      throw new Error(`Movie ${movieId} is not in the movie list.`);
+    }
+    if (!(rating >= 0.5 && rating <= 5)) {
+      throw new Error(`Ratings must be between 0.5 and 5 stars, not ${rating}.`);
+    }
+  });
+
+  const previousUserCount = numUsers;
+  const now = Math.floor(Date.now() / 1000);
+  // The latest entry per user and movie wins, keyed as
+  // user index -> movie index -> entry.
+  const pendingByUser = new Map();
+  entries.forEach((entry) => {
+    if (userIndexById[entry.userId] === undefined) {
+      userIndexById[entry.userId] = numUsers;
+      userIds.push(entry.userId);
+      numUsers += 1;
+    }
+
+    const userIndex = userIndexById[entry.userId];
+    if (!pendingByUser.has(userIndex)) {
+      pendingByUser.set(userIndex, new Map());
+    }
+    pendingByUser.get(userIndex).set(movieIndexById[entry.movieId], entry);
+  });
+
+  const table = createRatingTable(ratings.length + entries.length);
+  const offsets = new Int32Array(numUsers + 1);
+  const addedRows = [];
+  let next = 0;
+
+  for (let user = 0; user < numUsers; user += 1) {
+    const pending = pendingByUser.get(user) ?? new Map();
+
+    if (user < previousUserCount) {
+      for (let row = userRatingOffsets[user]; row < userRatingOffsets[user + 1]; row += 1) {
+        if (pending.has(ratings.movieIndices[row])) continue;
+        table.userIndices[next] = user;
+        table.movieIndices[next] = ratings.movieIndices[row];
+        table.values[next] = ratings.values[row];
+        table.timestamps[next] = ratings.timestamps[row];
+        next += 1;
+      }
+    }
+
+    pending.forEach(({ rating, timestamp = now }, movieIndex) => {
+      table.userIndices[next] = user;
+      table.movieIndices[next] = movieIndex;
+      table.values[next] = rating;
+      table.timestamps[next] = timestamp;
+      addedRows.push(next);
+      next += 1;
+    });
+    offsets[user + 1] = next;
+  }
+
+  table.length = next;
+  ratings = table;
+  userRatingOffsets = offsets;
+  return Int32Array.from(addedRows);
+}
+
+/**
+ * Row numbers of one user's ratings in the `ratings` table.
+ */
+export function getUserRatingRows(userIndex) {
+  const rows = [];
+  if (userIndex === undefined || userIndex < 0 || userIndex >= numUsers) {
+    return rows;
+  }
+
+  for (let row = userRatingOffsets[userIndex]; row < userRatingOffsets[userIndex + 1]; row += 1) {
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Number of ratings and average rating of each user, aligned with `userIds`.
+ * Users without ratings get an average of NaN.
+ */
+export function getUserRatingStats() {
+  const counts = new Int32Array(numUsers);
+  const means = new Float32Array(numUsers);
+  for (let userIndex = 0; userIndex < numUsers; userIndex += 1) {
+    let total = 0;
+    for (let row = userRatingOffsets[userIndex]; row < userRatingOffsets[userIndex + 1]; row += 1) {
+      total += ratings.values[row];
+    }
+    counts[userIndex] = userRatingOffsets[userIndex + 1] - userRatingOffsets[userIndex];
+    means[userIndex] = counts[userIndex] > 0 ? total / counts[userIndex] : NaN;
+  }
+  return { counts, means };
+}
+
+/**
+ * Number of ratings each movie received, aligned with `movies`. Counts only
+ * the given rows of `ratings` when `rows` is set, e.g. a training split.
+ */
+export function getMovieRatingCounts(rows = null) {
+  const counts = new Int32Array(numMovies);
+  const rowCount = rows ? rows.length : ratings.length;
+  for (let position = 0; position < rowCount; position += 1) {
+    counts[ratings.movieIndices[rows ? rows[position] : position]] += 1;
+  }
+  return counts;
 }
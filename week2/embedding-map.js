@@ -0,0 +1,221 @@
+// embedding-map.js draws the learned movie and user embeddings as a 2D
+// scatter plot. The vectors are projected onto their first two principal
+// components, which keeps as much of their spread as any flat view can, and
+// coloured by genre: if training worked, movies of the same genre drift
+// together, and so do users who favour it.
+
+import { getUserRatingRows, movies, ratings, userIds } from './data.js';
+import { LIKED_RATING_THRESHOLD } from './hybrid.js';
+
+// Colours for the genres, assigned in sorted genre order. The list is longer
+// than any MovieLens release's genre count, so colours are never reused.
+const GENRE_PALETTE = [
+  '#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777',
+  '#65a30d', '#ea580c', '#4f46e5', '#0d9488', '#b91c1c', '#9333ea', '#ca8a04',
+  '#0284c7', '#be185d', '#15803d', '#a16207', '#6d28d9', '#475569'
+];
+const NO_GENRE_COLOUR = '#94a3b8';
+const EMBEDDING_POINT_RADIUS = 3;
+// How close (in canvas pixels) the pointer must be to a point to pick it.
+const EMBEDDING_HIT_RADIUS = 6;
+const EMBEDDING_MAP_PADDING = 16;
+const POWER_ITERATION_STEPS = 100;
+
+/**
+ * Project the first `count` rows of an embedding layer onto their two
+ * principal components. Returns `{ coordinates, explainedVariance }`:
+ * interleaved x/y pairs per row and the share of the total variance each
+ * component keeps, which tells how faithful the flat picture is.
+ */
+export function projectEmbeddingLayer(scoringModel, layerName, count) {
+  const [table] = scoringModel.getLayer(layerName).getWeights();
+
+  const { centred, covariance } = tf.tidy(() => {
+    // The table has one spare row beyond the last entry (see createModel).
+    const rows = table.slice([0, 0], [count, -1]);
+    const centredRows = rows.sub(rows.mean(0, true));
+    return {
+      centred: tf.keep(centredRows),
+      covariance: centredRows.matMul(centredRows, true, false).div(Math.max(count - 1, 1)).arraySync()
+    };
+  });
+
+  try {
+    const totalVariance = covariance.reduce((sum, row, i) => sum + row[i], 0);
+    const components = findPrincipalComponents(covariance, 2);
+    const coordinates = tf.tidy(() => centred
+      .matMul(tf.tensor2d(components.map((component) => component.vector)), false, true)
+      .dataSync());
+
+    return {
+      coordinates,
+      explainedVariance: components.map((component) => (totalVariance > 0 ? component.value / totalVariance : 0))
+    };
+  } finally {
+    centred.dispose();
+  }
+}
+
+/**
+ * Find the `count` leading eigenvectors of a symmetric matrix by power
+ * iteration, removing each one from the matrix before looking for the next.
+ * The embedding dimension is small, so plain arrays are fast enough.
+ */
+function findPrincipalComponents(matrix, count) {
+  const size = matrix.length;
+  const remaining = matrix.map((row) => [...row]);
+  const components = [];
+
+  for (let c = 0; c < count; c += 1) {
+    let vector = Array.from({ length: size }, (_, i) => (i === c ? 1 : 1 / (size + i)));
+    let value = 0;
+
+    for (let step = 0; step < POWER_ITERATION_STEPS; step += 1) {
+      const next = remaining.map((row) => row.reduce((sum, entry, j) => sum + entry * vector[j], 0));
+      const norm = Math.hypot(...next);
+      if (norm === 0) break;
+      vector = next.map((entry) => entry / norm);
+      value = norm;
+    }
+
+    components.push({ vector, value });
+    for (let i = 0; i < size; i += 1) {
+      for (let j = 0; j < size; j += 1) {
+        remaining[i][j] -= value * vector[i] * vector[j];
+      }
+    }
+  }
+
+  return components;
+}
+
+/**
+ * The genre a user's liked movies (or, failing that, all their rated movies)
+ * share most often, or null when they rated nothing with a genre.
+ */
+function getFavouriteGenre(userIndex) {
+  const userRows = getUserRatingRows(userIndex);
+  const liked = userRows.filter((row) => ratings.values[row] >= LIKED_RATING_THRESHOLD);
+  const counts = new Map();
+
+  (liked.length > 0 ? liked : userRows).forEach((row) => {
+    movies[ratings.movieIndices[row]].genres.forEach((genre) => {
+      counts.set(genre, (counts.get(genre) ?? 0) + 1);
+    });
+  });
+
+  let favourite = null;
+  counts.forEach((count, genre) => {
+    if (favourite === null || count > counts.get(favourite)) {
+      favourite = genre;
+    }
+  });
+  return favourite;
+}
+
+/**
+ * Collect what the map shows for each point: movies are labelled by title
+ * and grouped by their first listed genre, users by their favourite genre.
+ * `kind` is 'movies' or 'users'.
+ */
+export function buildEmbeddingMapEntries(kind) {
+  if (kind === 'users') {
+    return userIds.map((id, index) => ({ id, label: `User ${id}`, genre: getFavouriteGenre(index) }));
+  }
+  return movies.map((movie) => ({ id: movie.id, label: movie.title, genre: movie.genres[0] ?? null }));
+}
+
+export function buildGenreColours() {
+  const genres = [...new Set(movies.flatMap((movie) => movie.genres))].sort();
+  return new Map(genres.map((genre, i) => [genre, GENRE_PALETTE[i % GENRE_PALETTE.length]]));
+}
+
+/**
+ * Draw the projected points onto `canvas`, scaled to fill it. Returns the
+ * canvas position of every point (interleaved x/y) for hit-testing.
+ * `highlighted` is the index of a point to draw larger and outlined, or -1.
+ */
+export function drawEmbeddingMap(canvas, coordinates, entries, genreColours, highlighted = -1) {
+  const context = canvas.getContext('2d');
+  const { width, height } = canvas;
+  context.clearRect(0, 0, width, height);
+
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < entries.length; i += 1) {
+    minX = Math.min(minX, coordinates[i * 2]);
+    maxX = Math.max(maxX, coordinates[i * 2]);
+    minY = Math.min(minY, coordinates[i * 2 + 1]);
+    maxY = Math.max(maxY, coordinates[i * 2 + 1]);
+  }
+
+  // One scale for both axes so distances on screen match the projection.
+  const scale = Math.min(
+    (width - EMBEDDING_MAP_PADDING * 2) / (maxX - minX || 1),
+    (height - EMBEDDING_MAP_PADDING * 2) / (maxY - minY || 1)
+  );
+  const offsetX = (width - (maxX - minX) * scale) / 2;
+  const offsetY = (height - (maxY - minY) * scale) / 2;
+
+  const positions = new Float32Array(entries.length * 2);
+  context.globalAlpha = 0.7;
+  entries.forEach((entry, i) => {
+    const x = offsetX + (coordinates[i * 2] - minX) * scale;
+    // Canvas y grows downwards; flip it so the plot reads like a chart.
+    const y = height - (offsetY + (coordinates[i * 2 + 1] - minY) * scale);
+    positions[i * 2] = x;
+    positions[i * 2 + 1] = y;
+
+    context.fillStyle = genreColours.get(entry.genre) ?? NO_GENRE_COLOUR;
+    context.beginPath();
+    context.arc(x, y, EMBEDDING_POINT_RADIUS, 0, Math.PI * 2);
+    context.fill();
+  });
+  context.globalAlpha = 1;
+
+  if (highlighted >= 0) {
+    context.strokeStyle = '#0f172a';
+    context.lineWidth = 2;
+    context.beginPath();
+    context.arc(positions[highlighted * 2], positions[highlighted * 2 + 1], EMBEDDING_POINT_RADIUS * 2, 0, Math.PI * 2);
+    context.stroke();
+  }
+
+  return positions;
+}
+
+/**
+ * Index of the point nearest to canvas position (x, y) within
+ * EMBEDDING_HIT_RADIUS, or -1 when there is none.
+ */
+export function findEmbeddingMapPoint(positions, x, y) {
+  let nearest = -1;
+  let nearestDistance = EMBEDDING_HIT_RADIUS * EMBEDDING_HIT_RADIUS;
+
+  for (let i = 0; i < positions.length / 2; i += 1) {
+    const dx = positions[i * 2] - x;
+    const dy = positions[i * 2 + 1] - y;
+    const distance = dx * dx + dy * dy;
+    if (distance <= nearestDistance) {
+      nearest = i;
+      nearestDistance = distance;
+    }
+  }
+
+  return nearest;
+}
+
+export function renderGenreLegend(container, genreColours) {
+  container.innerHTML = '';
+
+  [...genreColours, [null, NO_GENRE_COLOUR]].forEach(([genre, colour]) => {
+    const item = document.createElement('li');
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch';
+    swatch.style.backgroundColor = colour;
+    item.append(swatch, genre ?? 'No genre');
+    container.appendChild(item);
+  });
+}
@@ -0,0 +1,266 @@
+// evaluation.js measures how well a recommender generalises to ratings it has
+// never seen. It is deliberately model-agnostic: every metric is computed from
+// a `scoreUser(userId)` callback that returns one score per entry in `movies`,
+// so the TensorFlow.js model and any future recommenders share the same harness.
+
+import {
+  getMovieRatingCounts,
+  getUserRatingRows,
+  movies,
+  numUsers,
+  ratings,
+  userIds
+} from './data.js';
+import { getIntraListDiversity, getListNovelty } from './reranking.js';
+
+const DEFAULT_TEST_FRACTION = 0.2;
+export const DEFAULT_HOLDOUT_COUNT = 5;
+export const DEFAULT_RANKING_K = 10;
+// Ratings at or above this value count as "relevant" for the ranking metrics.
+const RELEVANCE_THRESHOLD = 4;
+
+/**
+ * Split the shared `ratings` table into train and test sets on a per-user
+ * basis so every user keeps some history to learn from. The `random` strategy
+ * shuffles each user's ratings, while `temporal` holds out their most recent
+ * ratings, which better mirrors how the model is used in practice.
+ * `leave-last-n` also holds out the most recent ratings, but a fixed
+ * `holdoutCount` per user instead of a fraction, so heavy raters do not
+ * dominate the test set.
+ * Both halves are returned as Int32Arrays of row numbers into `ratings`, with
+ * each user's rows kept together.
+ */
+export function splitRatings({
+  strategy = 'random',
+  testFraction = DEFAULT_TEST_FRACTION,
+  holdoutCount = DEFAULT_HOLDOUT_COUNT
+} = {}) {
+  const train = [];
+  const test = [];
+
+  for (let userIndex = 0; userIndex < numUsers; userIndex += 1) {
+    const userRows = getUserRatingRows(userIndex);
+
+    // A user with a single rating cannot be split without losing all history.
+    if (userRows.length < 2) {
+      train.push(...userRows);
+      continue;
+    }
+
+    const ordered = strategy === 'random'
+      ? shuffleCopy(userRows)
+      : userRows.sort((a, b) => ratings.timestamps[a] - ratings.timestamps[b]);
+
+    const wantedCount = strategy === 'leave-last-n'
+      ? holdoutCount
+      : Math.max(1, Math.round(userRows.length * testFraction));
+    const testCount = Math.min(userRows.length - 1, wantedCount);
+    const cut = ordered.length - testCount;
+
+    train.push(...ordered.slice(0, cut));
+    test.push(...ordered.slice(cut));
+  }
+
+  return { train: Int32Array.from(train), test: Int32Array.from(test), strategy };
+}
+
+function shuffleCopy(values) {
+  const shuffled = [...values];
+  for (let i = shuffled.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Evaluate a recommender on a train/test split from `splitRatings`.
+ * `scoreUser(userId)` must return an array-like of scores aligned with the
+ * shared `movies` array. Rating errors (RMSE/MAE) are computed on the held-out
+ * ratings after clamping to the 1–5 star range; pass `ratingMetrics: false`
+ * for recommenders whose scores are not ratings. The ranking metrics
+ * (Precision@K, Recall@K, NDCG@K) are averaged over users with at least one
+ * relevant held-out movie. Movies from the user's training history are never
+ * ranked, since recommending them again would be meaningless.
+ *
+ * `rankMovies(scores, seen, k, trainCounts)` builds each user's top-k list; pass
+ * one that re-ranks to evaluate a re-ranked list. The lists are also scored
+ * for intra-list diversity and novelty (averaged over every user with a
+ * list), and catalogue coverage: the share of movies in at least one list.
+ */
+export function evaluateRecommender(scoreUser, split, {
+  k = DEFAULT_RANKING_K,
+  ratingMetrics = true,
+  rankMovies = rankUnseenMovies
+} = {}) {
+  const trainMoviesByUser = groupMovieIndices(split.train);
+  const testByUser = groupRowsByUser(split.test);
+  // Popularity as the recommender could have known it: training ratings only.
+  const trainCounts = getMovieRatingCounts(split.train);
+
+  let squaredError = 0;
+  let absoluteError = 0;
+  let errorCount = 0;
+  let precisionSum = 0;
+  let recallSum = 0;
+  let ndcgSum = 0;
+  let rankedUsers = 0;
+  let diversitySum = 0;
+  let diverseLists = 0;
+  let noveltySum = 0;
+  let listCount = 0;
+  const recommended = new Set();
+
+  testByUser.forEach((userTest, userIndex) => {
+    const scores = scoreUser(userIds[userIndex]);
+    if (!scores) return;
+
+    if (ratingMetrics) {
+      userTest.forEach((row) => {
+        const predicted = Math.min(5, Math.max(1, scores[ratings.movieIndices[row]]));
+        const error = predicted - ratings.values[row];
+        squaredError += error * error;
+        absoluteError += Math.abs(error);
+        errorCount += 1;
+      });
+    }
+
+    const seen = trainMoviesByUser.get(userIndex) ?? new Set();
+    const ranked = rankMovies(scores, seen, k, trainCounts);
+
+    if (ranked.length > 1) {
+      diversitySum += getIntraListDiversity(ranked);
+      diverseLists += 1;
+    }
+    noveltySum += getListNovelty(ranked, trainCounts, numUsers);
+    listCount += 1;
+    ranked.forEach((movieIndex) => recommended.add(movieIndex));
+
+    const relevant = new Set(
+      userTest
+        .filter((row) => ratings.values[row] >= RELEVANCE_THRESHOLD)
+        .map((row) => ratings.movieIndices[row])
+    );
+    if (relevant.size === 0) return;
+
+    let hits = 0;
+    let dcg = 0;
+    ranked.forEach((movieIndex, rank) => {
+      if (relevant.has(movieIndex)) {
+        hits += 1;
+        dcg += 1 / Math.log2(rank + 2);
+      }
+    });
+
+    let idealDcg = 0;
+    for (let rank = 0; rank < Math.min(k, relevant.size); rank += 1) {
+      idealDcg += 1 / Math.log2(rank + 2);
+    }
+
+    precisionSum += hits / k;
+    recallSum += hits / relevant.size;
+    ndcgSum += dcg / idealDcg;
+    rankedUsers += 1;
+  });
+
+  return {
+    rmse: errorCount ? Math.sqrt(squaredError / errorCount) : NaN,
+    mae: errorCount ? absoluteError / errorCount : NaN,
+    precision: rankedUsers ? precisionSum / rankedUsers : NaN,
+    recall: rankedUsers ? recallSum / rankedUsers : NaN,
+    ndcg: rankedUsers ? ndcgSum / rankedUsers : NaN,
+    diversity: diverseLists ? diversitySum / diverseLists : NaN,
+    novelty: listCount ? noveltySum / listCount : NaN,
+    coverage: movies.length ? recommended.size / movies.length : NaN,
+    k,
+    testRatings: split.test.length,
+    rankedUsers
+  };
+}
+
+function groupRowsByUser(rows) {
+  const grouped = new Map();
+  rows.forEach((row) => {
+    const userIndex = ratings.userIndices[row];
+    if (!grouped.has(userIndex)) {
+      grouped.set(userIndex, []);
+    }
+    grouped.get(userIndex).push(row);
+  });
+  return grouped;
+}
+
+function groupMovieIndices(rows) {
+  const grouped = new Map();
+  rows.forEach((row) => {
+    const userIndex = ratings.userIndices[row];
+    if (!grouped.has(userIndex)) {
+      grouped.set(userIndex, new Set());
+    }
+    grouped.get(userIndex).add(ratings.movieIndices[row]);
+  });
+  return grouped;
+}
+
+/**
+ * Return the indices (positions in `movies`) of the `k` highest scoring
+ * movies that are not in `excluded`.
+ */
+export function rankUnseenMovies(scores, excluded, k) {
+  const candidates = [];
+  for (let i = 0; i < movies.length; i += 1) {
+    if (!excluded.has(i)) {
+      candidates.push(i);
+    }
+  }
+
+  candidates.sort((a, b) => scores[b] - scores[a]);
+  return candidates.slice(0, k);
+}
+
+/**
+ * Render one row per evaluated recommender. Rows are plain objects returned by
+ * `evaluateRecommender` with an extra `name` field.
+ */
+export function renderMetricsTable(container, rows) {
+  container.innerHTML = '';
+  if (rows.length === 0) return;
+
+  const k = rows[0].k;
+  const columns = [
+    ['Model', (row) => row.name],
+    ['RMSE', (row) => formatMetric(row.rmse)],
+    ['MAE', (row) => formatMetric(row.mae)],
+    [`Precision@${k}`, (row) => formatMetric(row.precision)],
+    [`Recall@${k}`, (row) => formatMetric(row.recall)],
+    [`NDCG@${k}`, (row) => formatMetric(row.ndcg)],
+    [`Diversity@${k}`, (row) => formatMetric(row.diversity)],
+    [`Novelty@${k}`, (row) => formatMetric(row.novelty)],
+    [`Coverage@${k}`, (row) => formatMetric(row.coverage)],
+    ['Test ratings', (row) => String(row.testRatings)]
+  ];
+
+  const table = document.createElement('table');
+  table.className = 'metrics-table';
+
+  const headerRow = table.createTHead().insertRow();
+  columns.forEach(([label]) => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    headerRow.appendChild(th);
+  });
+
+  const body = table.createTBody();
+  rows.forEach((row) => {
+    const tr = body.insertRow();
+    columns.forEach(([, format]) => {
+      tr.insertCell().textContent = format(row);
+    });
+  });
+
+  container.appendChild(table);
+}
+
+export function formatMetric(value) {
+  return Number.isFinite(value) ? value.toFixed(4) : '—';
+}
@@ -0,0 +1,156 @@
+// explanations.js shows why the model predicted what it did. The MF model
+// (see createModel) adds a dot product to a user bias and a movie bias, so a
+// prediction can be split into exactly those parts; and since similar movie
+// embeddings mean "rated alike by the same people", the user's own ratings of
+// the most similar movies are the evidence behind the interaction term.
+
+import { getUserRatingRows, movies, ratings } from './data.js';
+import { isImplicitObjective } from './model.js';
+import { LIKED_RATING_THRESHOLD } from './hybrid.js';
+
+const INFLUENTIAL_RATING_COUNT = 3;
+
+function hasBiasLayers(scoringModel) {
+  return scoringModel.layers.some((layer) => layer.name === 'user-bias');
+}
+
+/**
+ * Split the prediction for one user and movie into the terms the model adds
+ * up. The model has no separate global bias, so the average user bias plus
+ * the average movie bias play that role, and the user and movie terms are
+ * each bias's offset from its average. The four terms sum to the model's
+ * output. Returns null for models without bias layers (the feature-aware
+ * model), whose dense layers do not decompose this way.
+ */
+export function explainPrediction(scoringModel, userIndex, movieIndex) {
+  if (!hasBiasLayers(scoringModel)) {
+    return null;
+  }
+
+  const weightsOf = (name) => scoringModel.getLayer(name).getWeights()[0];
+
+  return tf.tidy(() => {
+    const userBiases = weightsOf('user-bias');
+    const movieBiases = weightsOf('movie-bias');
+    // Leave out the spare last row of each table: no rating ever trains it.
+    const meanUserBias = userBiases.slice([0, 0], [userBiases.shape[0] - 1, 1]).mean().dataSync()[0];
+    const meanMovieBias = movieBiases.slice([0, 0], [movieBiases.shape[0] - 1, 1]).mean().dataSync()[0];
+
+    const userBias = userBiases.slice([userIndex, 0], [1, 1]).dataSync()[0];
+    const movieBias = movieBiases.slice([movieIndex, 0], [1, 1]).dataSync()[0];
+    const interaction = weightsOf('user-embedding').slice([userIndex, 0], [1, -1])
+      .mul(weightsOf('movie-embedding').slice([movieIndex, 0], [1, -1]))
+      .sum()
+      .dataSync()[0];
+
+    return {
+      global: meanUserBias + meanMovieBias,
+      user: userBias - meanUserBias,
+      movie: movieBias - meanMovieBias,
+      interaction,
+      total: userBias + movieBias + interaction
+    };
+  });
+}
+
+/**
+ * Find the movies the user rated whose embeddings are closest (by cosine
+ * similarity) to the target movie's. Only movies the user liked are
+ * considered, unless they liked none. Returns up to `limit` entries of
+ * `{ movieIndex, rating, similarity }`, most similar first.
+ */
+export function findInfluentialRatings(scoringModel, userIndex, movieIndex, limit = INFLUENTIAL_RATING_COUNT) {
+  const userRows = getUserRatingRows(userIndex)
+    .filter((row) => ratings.movieIndices[row] !== movieIndex);
+  const liked = userRows.filter((row) => ratings.values[row] >= LIKED_RATING_THRESHOLD);
+  const candidateRows = liked.length > 0 ? liked : userRows;
+
+  if (candidateRows.length === 0) {
+    return [];
+  }
+
+  const [embeddings] = scoringModel.getLayer('movie-embedding').getWeights();
+  const similarities = tf.tidy(() => {
+    const target = embeddings.slice([movieIndex, 0], [1, -1]);
+    const rated = tf.gather(embeddings, candidateRows.map((row) => ratings.movieIndices[row]));
+    const norms = rated.norm('euclidean', 1).mul(target.norm()).add(1e-8);
+    return rated.matMul(target, false, true).reshape([-1]).div(norms).dataSync();
+  });
+
+  return candidateRows
+    .map((row, i) => ({
+      movieIndex: ratings.movieIndices[row],
+      rating: ratings.values[row],
+      similarity: similarities[i]
+    }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+/**
+ * One-line "because you rated …" summary of the strongest influence, for
+ * recommendation lists.
+ */
+export function describeTopInfluence(influences) {
+  if (influences.length === 0) {
+    return '';
+  }
+
+  const [{ movieIndex, rating }] = influences;
+  return `because you rated "${movies[movieIndex].title}" ${rating}/5`;
+}
+
+/**
+ * Append the bias breakdown and the influential ratings under a prediction.
+ * `breakdown` may be null when the model cannot be decomposed. Implicit models
+ * output logits, so their terms are shown without a star unit.
+ */
+export function renderPredictionExplanation(container, breakdown, influences, objective) {
+  const explanation = document.createElement('div');
+  explanation.className = 'explanation';
+
+  if (breakdown) {
+    const unit = isImplicitObjective(objective) ? '' : ' stars';
+    const formatTerm = (value) => `${value < 0 ? '−' : '+'}${Math.abs(value).toFixed(2)}${unit}`;
+
+    const terms = document.createElement('dl');
+    terms.className = 'explanation-terms';
+    [
+      ['Baseline (average user and movie bias)', `${breakdown.global.toFixed(2)}${unit}`],
+      ['This user compared with the average user', formatTerm(breakdown.user)],
+      ['This movie compared with the average movie', formatTerm(breakdown.movie)],
+      ["Match between the user's taste and the movie", formatTerm(breakdown.interaction)],
+      ['Raw model output', `${breakdown.total.toFixed(2)}${unit}`]
+    ].forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      terms.append(term, description);
+    });
+    explanation.appendChild(terms);
+  }
+
+  if (influences.length > 0) {
+    const heading = document.createElement('p');
+    heading.textContent = 'Because you rated these similar movies:';
+    explanation.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.className = 'recommendation-list';
+    influences.forEach(({ movieIndex, rating, similarity }) => {
+      const item = document.createElement('li');
+      item.textContent = `${movies[movieIndex].title} `;
+
+      const scoreEl = document.createElement('span');
+      scoreEl.className = 'score';
+      scoreEl.textContent = `(you rated ${rating}/5, cosine ${similarity.toFixed(2)})`;
+      item.appendChild(scoreEl);
+
+      list.appendChild(item);
+    });
+    explanation.appendChild(list);
+  }
+
+  container.appendChild(explanation);
+}
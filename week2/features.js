@@ -0,0 +1,152 @@
+// features.js encodes the side information the feature-aware model
+// (createFeatureModel in model.js) looks up next to the ID embeddings: user
+// demographics, and movie genres and release year. Every categorical value
+// gets a one-hot slot plus an "unknown" slot, so users without a profile (or
+// releases without a users file) still get a valid, if uninformative, row.
+
+import { movies, numMovies, numUsers, userIds, userProfiles } from './data.js';
+
+// Lower bounds of the age groups after "under 18"; the 1M release uses the
+// same cut-offs, so its bucketed ages land in matching groups.
+const AGE_BUCKET_LIMITS = [18, 25, 35, 45, 50, 56];
+// Release years are scaled onto roughly [0, 1] across this span.
+const FEATURE_YEAR_RANGE = [1900, 2030];
+
+/**
+ * Collect the categorical values the feature tables one-hot encode. The
+ * vocabulary is saved with a trained model so a profile is always encoded the
+ * way the model saw its training users.
+ */
+export function buildFeatureVocabulary() {
+  const profiles = Object.values(userProfiles);
+  return {
+    genders: [...new Set(profiles.map((profile) => profile.gender))].sort(),
+    occupations: [...new Set(profiles.map((profile) => profile.occupation))].sort(),
+    genres: [...new Set(movies.flatMap((movie) => movie.genres))].sort()
+  };
+}
+
+function getUserFeatureWidth(vocabulary) {
+  // Age groups are the "under 18" group plus one per limit, then "unknown".
+  return (AGE_BUCKET_LIMITS.length + 2)
+    + (vocabulary.genders.length + 1)
+    + (vocabulary.occupations.length + 1);
+}
+
+function getMovieFeatureWidth(vocabulary) {
+  // One flag per genre, the scaled year and a "year unknown" flag.
+  return vocabulary.genres.length + 2;
+}
+
+/**
+ * Encode a demographic profile (`{ age, gender, occupation }`, any of which
+ * may be missing) as one row of the user feature table. Pass null for a user
+ * without a profile.
+ */
+function encodeUserProfile(profile, vocabulary) {
+  const row = new Float32Array(getUserFeatureWidth(vocabulary));
+  let offset = 0;
+
+  // Set the slot for `position` in a block of `size` values plus a trailing
+  // "unknown" slot, which is used when `position` is -1.
+  const setOneHot = (position, size) => {
+    row[offset + (position === -1 ? size : position)] = 1;
+    offset += size + 1;
+  };
+
+  const age = profile?.age;
+  setOneHot(
+    Number.isFinite(age) ? AGE_BUCKET_LIMITS.filter((limit) => age >= limit).length : -1,
+    AGE_BUCKET_LIMITS.length + 1
+  );
+  setOneHot(profile ? vocabulary.genders.indexOf(profile.gender) : -1, vocabulary.genders.length);
+  setOneHot(profile ? vocabulary.occupations.indexOf(profile.occupation) : -1, vocabulary.occupations.length);
+
+  return row;
+}
+
+function encodeMovieFeatures(movie, vocabulary) {
+  const row = new Float32Array(getMovieFeatureWidth(vocabulary));
+  const genreCount = vocabulary.genres.length;
+
+  movie.genres.forEach((genre) => {
+    const position = vocabulary.genres.indexOf(genre);
+    if (position !== -1) {
+      row[position] = 1;
+    }
+  });
+
+  if (Number.isFinite(movie.year)) {
+    const [firstYear, lastYear] = FEATURE_YEAR_RANGE;
+    row[genreCount] = (movie.year - firstYear) / (lastYear - firstYear);
+  } else {
+    row[genreCount + 1] = 1;
+  }
+
+  return row;
+}
+
+/**
+ * Build the flat feature tables for the loaded dataset, one row per user or
+ * movie index plus the trailing "unseen" row the embedding tables also have.
+ * The result is the `features` argument of `createFeatureModel`.
+ */
+export function buildFeatureTables(vocabulary) {
+  const userFeatureWidth = getUserFeatureWidth(vocabulary);
+  const userFeatures = new Float32Array((numUsers + 1) * userFeatureWidth);
+  userIds.forEach((userId, index) => {
+    userFeatures.set(encodeUserProfile(userProfiles[userId] ?? null, vocabulary), index * userFeatureWidth);
+  });
+  userFeatures.set(encodeUserProfile(null, vocabulary), numUsers * userFeatureWidth);
+
+  const movieFeatureWidth = getMovieFeatureWidth(vocabulary);
+  const movieFeatures = new Float32Array((numMovies + 1) * movieFeatureWidth);
+  movies.forEach((movie, index) => {
+    movieFeatures.set(encodeMovieFeatures(movie, vocabulary), index * movieFeatureWidth);
+  });
+  movieFeatures[numMovies * movieFeatureWidth + movieFeatureWidth - 1] = 1;
+
+  return { userFeatures, userFeatureWidth, movieFeatures, movieFeatureWidth };
+}
+
+/**
+ * Score every movie for someone the model has never seen, using only their
+ * demographic profile. The profile is written into the model's reserved
+ * "unseen user" row, and that row's ID embedding is set to the average known
+ * user so the towers see a typical ID vector rather than a random one.
+ * Returns one raw score per entry in `movies`.
+ */
+export function scoreProfileForAllMovies(featureModel, profile, vocabulary) {
+  const featureLayer = featureModel.getLayer('user-features');
+  const embeddingLayer = featureModel.getLayer('user-embedding');
+
+  const [featureTable] = featureLayer.getWeights();
+  const [rows, featureWidth] = featureTable.shape;
+  const unseenRow = rows - 1;
+
+  const features = featureTable.dataSync().slice();
+  features.set(encodeUserProfile(profile, vocabulary), unseenRow * featureWidth);
+
+  const [nextFeatureTable, nextEmbeddingTable] = tf.tidy(() => {
+    const [embeddingTable] = embeddingLayer.getWeights();
+    const knownUsers = embeddingTable.slice([0, 0], [unseenRow, -1]);
+    return [
+      tf.tensor2d(features, featureTable.shape),
+      tf.concat([knownUsers, knownUsers.mean(0, true)], 0)
+    ];
+  });
+  featureLayer.setWeights([nextFeatureTable]);
+  embeddingLayer.setWeights([nextEmbeddingTable]);
+  tf.dispose([nextFeatureTable, nextEmbeddingTable]);
+
+  return tf.tidy(() => {
+    const userTensor = tf.fill([movies.length, 1], unseenRow, 'int32');
+    const movieTensor = tf.tensor2d(
+      movies.map((_, index) => index),
+      [movies.length, 1],
+      'int32'
+    );
+
+    return featureModel.predict([userTensor, movieTensor]).dataSync();
+  });
+}
@@ -0,0 +1,78 @@
+// hybrid.js blends the genre-based content recommender from the root demo with
+// the matrix factorisation model. Content scores explain "more like what you
+// liked", MF scores capture taste patterns across users; mixing them gives the
+// two demos' answers a common ground and covers users MF knows little about.
+
+import { getUserRatingRows, movies, ratings, userIndexById } from './data.js';
+import { modelScoreToUnit } from './model.js';
+
+// Users with fewer ratings than this get pure content-based scores, since
+// their MF embedding has barely moved from its random initialisation.
+const COLD_START_RATING_COUNT = 5;
+// Ratings at or above this value form the user's genre profile.
+export const LIKED_RATING_THRESHOLD = 4;
+
+/**
+ * Jaccard similarity of two genre lists: |A ∩ B| / |A ∪ B|.
+ */
+export function jaccardSimilarity(genresA, genresB) {
+  if (genresA.length === 0 && genresB.length === 0) {
+    return 0;
+  }
+
+  const setA = new Set(genresA);
+  const intersection = genresB.filter((genre) => setA.has(genre)).length;
+  return intersection / (setA.size + genresB.length - intersection);
+}
+
+/**
+ * Score every movie by its average Jaccard similarity to the movies the user
+ * liked. If the user has not rated anything highly we fall back to all of
+ * their ratings so there is still a profile to compare against.
+ * Returns an array aligned with `movies`, each value in [0, 1].
+ */
+function scoreContentForUser(userId) {
+  const userRows = getUserRatingRows(userIndexById[userId]);
+  const liked = userRows.filter((row) => ratings.values[row] >= LIKED_RATING_THRESHOLD);
+  const profileRows = liked.length > 0 ? liked : userRows;
+
+  const profileGenres = profileRows.map((row) => movies[ratings.movieIndices[row]].genres);
+
+  return movies.map((movie) => {
+    if (profileGenres.length === 0) {
+      return 0;
+    }
+
+    const total = profileGenres.reduce(
+      (sum, genres) => sum + jaccardSimilarity(movie.genres, genres),
+      0
+    );
+    return total / profileGenres.length;
+  });
+}
+
+/**
+ * Blend content similarity with MF predictions for every movie.
+ * `mfScores` are the active model's raw scores for the user, one per movie,
+ * or null when the model has never seen them; `objective` is the one it was
+ * trained with. `mfWeight` is the share given to MF (0 = content only, 1 =
+ * MF only). The MF score is rescaled to [0, 1] before blending (see
+ * `modelScoreToUnit`), and the blend is mapped back onto the star scale so it
+ * can be displayed like a rating.
+ * Cold-start users (and users the model has never seen) ignore `mfWeight`
+ * and use content similarity alone.
+ */
+export function scoreHybridForUser(userId, mfWeight, mfScores, objective) {
+  const ratingCount = getUserRatingRows(userIndexById[userId]).length;
+  const contentScores = scoreContentForUser(userId);
+
+  const coldStart = ratingCount < COLD_START_RATING_COUNT || !mfScores;
+  const weight = coldStart ? 0 : mfWeight;
+
+  const scores = contentScores.map((contentScore, i) => {
+    const mfScore = mfScores ? modelScoreToUnit(mfScores[i], objective) : 0;
+    return 1 + 4 * (weight * mfScore + (1 - weight) * contentScore);
+  });
+
+  return { scores, contentScores, mfScores, coldStart, weight };
+}
@@ -0,0 +1,221 @@
+// knn.js implements memory-based collaborative filtering: user-kNN predicts
+// from the ratings of users with similar taste, item-kNN from the user's own
+// ratings of similar movies. Unlike the matrix factorisation model there is
+// nothing to train; the "model" is the sparse user×movie rating matrix plus a
+// similarity measure, so results are easy to trace back to actual ratings.
+
+import { numMovies, numUsers, ratings, userIndexById } from './data.js';
+
+// Similarity measures between two rating vectors, computed over co-rated
+// entries. `cosine` uses the raw ratings, `pearson` centres each vector on its
+// own mean and `adjusted-cosine` centres each rating on the mean of the other
+// dimension (the user's mean for item-kNN, the movie's mean for user-kNN), so
+// generous and harsh raters compare fairly.
+export const KNN_SIMILARITIES = ['cosine', 'adjusted-cosine', 'pearson'];
+
+export const NEIGHBOURHOOD_MODELS = [
+  { id: 'user-knn', label: 'User-kNN' },
+  { id: 'item-knn', label: 'Item-kNN' }
+];
+
+export function isNeighbourhoodModelId(id) {
+  return NEIGHBOURHOOD_MODELS.some((definition) => definition.id === id);
+}
+
+/**
+ * Group rows of the `ratings` table into compressed sparse rows: entries
+ * `offsets[e]` to `offsets[e + 1]` of `indices` and `values` hold the other
+ * side's indices and the ratings of entity `e`. `outerColumn` and
+ * `innerColumn` pick the grouping (users or movies) and the entries.
+ */
+function groupRatingRows(rowCount, rowAt, outerColumn, innerColumn, outerCount) {
+  const offsets = new Int32Array(outerCount + 1);
+  for (let position = 0; position < rowCount; position += 1) {
+    offsets[outerColumn[rowAt(position)] + 1] += 1;
+  }
+  for (let e = 0; e < outerCount; e += 1) {
+    offsets[e + 1] += offsets[e];
+  }
+
+  const indices = new Int32Array(rowCount);
+  const values = new Float32Array(rowCount);
+  const means = new Float32Array(outerCount);
+  const nextSlot = offsets.slice(0, outerCount);
+
+  for (let position = 0; position < rowCount; position += 1) {
+    const row = rowAt(position);
+    const slot = nextSlot[outerColumn[row]];
+    nextSlot[outerColumn[row]] += 1;
+    indices[slot] = innerColumn[row];
+    values[slot] = ratings.values[row];
+    means[outerColumn[row]] += ratings.values[row];
+  }
+
+  for (let e = 0; e < outerCount; e += 1) {
+    const count = offsets[e + 1] - offsets[e];
+    means[e] = count > 0 ? means[e] / count : NaN;
+  }
+
+  return { offsets, indices, values, means };
+}
+
+/**
+ * Fit a neighbourhood recommender on rows of `ratings` (all rows when `rows`
+ * is null). `config` holds `similarity` (one of KNN_SIMILARITIES), `k` (the
+ * number of neighbours per prediction) and `shrinkage`, which scales each
+ * similarity by n / (n + shrinkage) for n co-rated entries so that a
+ * similarity resting on two shared ratings cannot outweigh one resting on
+ * fifty. Returns the same shape as `fitBaseline`.
+ *
+ * Predictions are mean-centred: the user's (or movie's) mean rating plus the
+ * similarity-weighted average deviation of the k most similar neighbours
+ * that have an opinion. Only positively similar neighbours are used.
+ */
+export function fitNeighbourhoodModel(id, { similarity, k, shrinkage }, rows = null) {
+  const definition = NEIGHBOURHOOD_MODELS.find((model) => model.id === id);
+  const rowCount = rows ? rows.length : ratings.length;
+  const rowAt = (position) => (rows ? rows[position] : position);
+
+  const byUser = groupRatingRows(rowCount, rowAt, ratings.userIndices, ratings.movieIndices, numUsers);
+  const byMovie = groupRatingRows(rowCount, rowAt, ratings.movieIndices, ratings.userIndices, numMovies);
+
+  let total = 0;
+  for (let position = 0; position < rowCount; position += 1) {
+    total += ratings.values[rowAt(position)];
+  }
+  const globalMean = rowCount > 0 ? total / rowCount : 0;
+  const meanOr = (value) => (Number.isNaN(value) ? globalMean : value);
+
+  // The entities we compare (`own`) and the dimension their vectors run over.
+  const isUserBased = id === 'user-knn';
+  const own = isUserBased ? byUser : byMovie;
+  const other = isUserBased ? byMovie : byUser;
+  const entityCount = isUserBased ? numUsers : numMovies;
+
+  const centre = (entity, otherIndex) => {
+    if (similarity === 'pearson') return own.means[entity];
+    if (similarity === 'adjusted-cosine') return other.means[otherIndex];
+    return 0;
+  };
+
+  // Similarity of `entity` to every other entity. Only entities sharing at
+  // least one rating are visited, by walking entity → its entries → the other
+  // entities that rated those entries.
+  const computeSimilarityRow = (entity) => {
+    const dot = new Float64Array(entityCount);
+    const normA = new Float64Array(entityCount);
+    const normB = new Float64Array(entityCount);
+    const counts = new Int32Array(entityCount);
+
+    for (let p = own.offsets[entity]; p < own.offsets[entity + 1]; p += 1) {
+      const otherIndex = own.indices[p];
+      const a = own.values[p] - centre(entity, otherIndex);
+
+      for (let q = other.offsets[otherIndex]; q < other.offsets[otherIndex + 1]; q += 1) {
+        const neighbour = other.indices[q];
+        if (neighbour === entity) continue;
+
+        const b = other.values[q] - centre(neighbour, otherIndex);
+        dot[neighbour] += a * b;
+        normA[neighbour] += a * a;
+        normB[neighbour] += b * b;
+        counts[neighbour] += 1;
+      }
+    }
+
+    const similarities = new Float32Array(entityCount);
+    for (let e = 0; e < entityCount; e += 1) {
+      const denominator = Math.sqrt(normA[e] * normB[e]);
+      if (counts[e] > 0 && denominator > 0) {
+        similarities[e] = (dot[e] / denominator) * (counts[e] / (counts[e] + shrinkage));
+      }
+    }
+    return similarities;
+  };
+
+  // Movie similarity rows are reused across users, so remember them. User
+  // rows are only needed once per scored user.
+  const similarityRows = new Map();
+  const getSimilarityRow = (entity) => {
+    if (isUserBased) {
+      return computeSimilarityRow(entity);
+    }
+    if (!similarityRows.has(entity)) {
+      similarityRows.set(entity, computeSimilarityRow(entity));
+    }
+    return similarityRows.get(entity);
+  };
+
+  // Weighted average of the k most similar neighbours' deviations.
+  const aggregate = (base, neighbours) => {
+    if (neighbours.length === 0) {
+      return base;
+    }
+
+    neighbours.sort((a, b) => b.similarity - a.similarity);
+    let weighted = 0;
+    let weightSum = 0;
+    neighbours.slice(0, k).forEach(({ similarity: weight, deviation }) => {
+      weighted += weight * deviation;
+      weightSum += weight;
+    });
+    return base + weighted / weightSum;
+  };
+
+  const scoreUser = (userId) => {
+    const userIndex = userIndexById[userId];
+    const scores = new Float32Array(numMovies);
+
+    if (userIndex === undefined || byUser.offsets[userIndex] === byUser.offsets[userIndex + 1]) {
+      // Nothing to find neighbours from: fall back to the movie means.
+      return scores.map((_, movieIndex) => meanOr(byMovie.means[movieIndex]));
+    }
+
+    if (isUserBased) {
+      const similarities = getSimilarityRow(userIndex);
+      const base = byUser.means[userIndex];
+
+      for (let movieIndex = 0; movieIndex < numMovies; movieIndex += 1) {
+        const neighbours = [];
+        for (let q = byMovie.offsets[movieIndex]; q < byMovie.offsets[movieIndex + 1]; q += 1) {
+          const neighbour = byMovie.indices[q];
+          if (similarities[neighbour] > 0) {
+            neighbours.push({
+              similarity: similarities[neighbour],
+              deviation: byMovie.values[q] - byUser.means[neighbour]
+            });
+          }
+        }
+        scores[movieIndex] = aggregate(base, neighbours);
+      }
+      return scores;
+    }
+
+    const rated = [];
+    for (let p = byUser.offsets[userIndex]; p < byUser.offsets[userIndex + 1]; p += 1) {
+      const ratedMovie = byUser.indices[p];
+      rated.push({
+        similarities: getSimilarityRow(ratedMovie),
+        deviation: byUser.values[p] - byMovie.means[ratedMovie]
+      });
+    }
+
+    for (let movieIndex = 0; movieIndex < numMovies; movieIndex += 1) {
+      const neighbours = [];
+      rated.forEach(({ similarities, deviation }) => {
+        if (similarities[movieIndex] > 0) {
+          neighbours.push({ similarity: similarities[movieIndex], deviation });
+        }
+      });
+      scores[movieIndex] = aggregate(meanOr(byMovie.means[movieIndex]), neighbours);
+    }
+    return scores;
+  };
+
+  return {
+    id,
+    label: `${definition.label} (${similarity}, k=${k})`,
+    predictsRatings: true,
+    scoreUser
+  };
+}
@@ -0,0 +1,353 @@
+// model.js defines the recommender architectures. It has no DOM
+// dependencies so the page and the training worker (training-worker.js) can
+// both import it: the worker builds and trains the model, and the page
+// rebuilds the same architecture to receive the trained weights.
+
+/**
+ * Build the matrix factorisation model.
+ * We represent each user and movie as a learnable latent vector (embedding)
+ * and take their dot product to estimate the rating. Separate bias embeddings
+ * help the model learn systematic tendencies (e.g. harsh users or popular films).
+ * A positive `l2` penalises large latent vectors, which keeps rarely rated users
+ * and movies from overfitting their handful of ratings.
+ */
+function createModel(numUsersValue, numMoviesValue, latentDim = 20, l2 = 0) {
+  const embeddingsRegularizer = l2 > 0 ? tf.regularizers.l2({ l2 }) : undefined;
+
+  const userInput = tf.input({ shape: [1], dtype: 'int32', name: 'user-input' });
+  const movieInput = tf.input({ shape: [1], dtype: 'int32', name: 'movie-input' });
+
+  const userEmbedding = tf.layers.embedding({
+    // inputDim is (count + 1) to give TensorFlow.js a safe upper bound even if
+    // an index equal to numUsersValue appears. The +1 mirrors how Keras handles
+    // embedding lookup tables.
+    inputDim: numUsersValue + 1,
+    outputDim: latentDim,
+    embeddingsInitializer: 'heNormal',
+    embeddingsRegularizer,
+    name: 'user-embedding'
+  }).apply(userInput);
+
+  const movieEmbedding = tf.layers.embedding({
+    inputDim: numMoviesValue + 1,
+    outputDim: latentDim,
+    embeddingsInitializer: 'heNormal',
+    embeddingsRegularizer,
+    name: 'movie-embedding'
+  }).apply(movieInput);
+
+  // Each embedding has shape [batch, 1, latentDim]. Flattening removes the
+  // singleton dimension so we are left with a simple latent vector per entity.
+  const userVector = tf.layers.flatten().apply(userEmbedding);
+  const movieVector = tf.layers.flatten().apply(movieEmbedding);
+
+  // Taking the dot product of the two latent vectors is the core of matrix
+  // factorisation—it estimates how strongly the selected user interacts with
+  // the selected movie based on learned preferences.
+  const interaction = tf.layers.dot({ axes: 1, name: 'dot-interaction' }).apply([
+    userVector,
+    movieVector
+  ]);
+
+  // Bias embeddings let the network capture global tendencies, such as users
+  // who rate generously or movies that are universally loved.
+  const userBias = tf.layers.embedding({
+    inputDim: numUsersValue + 1,
+    outputDim: 1,
+    embeddingsInitializer: 'zeros',
+    name: 'user-bias'
+  }).apply(userInput);
+
+  const movieBias = tf.layers.embedding({
+    inputDim: numMoviesValue + 1,
+    outputDim: 1,
+    embeddingsInitializer: 'zeros',
+    name: 'movie-bias'
+  }).apply(movieInput);
+
+  const userBiasFlat = tf.layers.flatten().apply(userBias);
+  const movieBiasFlat = tf.layers.flatten().apply(movieBias);
+
+  // The final predicted rating is the dot product plus both bias terms.
+  const withUserBias = tf.layers.add().apply([interaction, userBiasFlat]);
+  const output = tf.layers.add({ name: 'predicted-rating' }).apply([
+    withUserBias,
+    movieBiasFlat
+  ]);
+
+  return tf.model({
+    inputs: [userInput, movieInput],
+    outputs: output
+  });
+}
+
+// Architectures the page can train. `mf` is the plain matrix factorisation
+// model above; `features` is the feature-aware model below.
+export const MODEL_TYPES = ['mf', 'features'];
+// Width of the hidden dense layers in the feature-aware model.
+const FEATURE_HIDDEN_UNITS = 64;
+
+/**
+ * Build a feature-aware recommender in the style of neural collaborative
+ * filtering. Each side is a small tower: the user tower combines the user's ID
+ * embedding with their demographics and the movie tower combines the movie's
+ * ID embedding with its genres and release year. The towers are concatenated
+ * and passed through dense layers to predict the score.
+ *
+ * The side features are fixed lookup tables (`features.userFeatures` and
+ * `features.movieFeatures`, one row of `…Width` values per index, see
+ * features.js) stored as frozen embeddings, so the model takes the same
+ * [user index, movie index] inputs as `createModel` and works with every
+ * training objective. The extra row at index `numUsersValue` is reserved for
+ * users the model has never seen: writing a profile into it lets the model
+ * score someone who only has demographics.
+ */
+function createFeatureModel(numUsersValue, numMoviesValue, features, latentDim = 20, l2 = 0) {
+  const regularizer = l2 > 0 ? tf.regularizers.l2({ l2 }) : undefined;
+
+  const userInput = tf.input({ shape: [1], dtype: 'int32', name: 'user-input' });
+  const movieInput = tf.input({ shape: [1], dtype: 'int32', name: 'movie-input' });
+
+  const embed = (input, inputDim, name) => tf.layers.flatten().apply(
+    tf.layers.embedding({
+      inputDim,
+      outputDim: latentDim,
+      embeddingsInitializer: 'heNormal',
+      embeddingsRegularizer: regularizer,
+      name
+    }).apply(input)
+  );
+
+  // Frozen lookups: training never changes what we know about a user or movie.
+  const initialTables = [];
+  const lookup = (input, table, width, name) => {
+    const rows = table.length / width;
+    initialTables.push(tf.tensor2d(table, [rows, width]));
+    return tf.layers.flatten().apply(
+      tf.layers.embedding({
+        inputDim: rows,
+        outputDim: width,
+        trainable: false,
+        weights: [initialTables[initialTables.length - 1]],
+        name
+      }).apply(input)
+    );
+  };
+
+  const dense = (units, name, activation = 'relu') => tf.layers.dense({
+    units,
+    activation,
+    kernelRegularizer: regularizer,
+    name
+  });
+
+  // Each tower projects its side features to the size of the ID embedding
+  // before mixing the two, so neither input dominates by sheer width.
+  const userFeatureVector = dense(latentDim, 'user-feature-projection').apply(
+    lookup(userInput, features.userFeatures, features.userFeatureWidth, 'user-features')
+  );
+  const userTower = dense(FEATURE_HIDDEN_UNITS, 'user-tower').apply(
+    tf.layers.concatenate().apply([embed(userInput, numUsersValue + 1, 'user-embedding'), userFeatureVector])
+  );
+
+  const movieFeatureVector = dense(latentDim, 'movie-feature-projection').apply(
+    lookup(movieInput, features.movieFeatures, features.movieFeatureWidth, 'movie-features')
+  );
+  const movieTower = dense(FEATURE_HIDDEN_UNITS, 'movie-tower').apply(
+    tf.layers.concatenate().apply([embed(movieInput, numMoviesValue + 1, 'movie-embedding'), movieFeatureVector])
+  );
+
+  const hidden = dense(FEATURE_HIDDEN_UNITS, 'interaction-hidden').apply(
+    tf.layers.concatenate().apply([userTower, movieTower])
+  );
+  const output = dense(1, 'predicted-rating', 'linear').apply(hidden);
+
+  const featureModel = tf.model({
+    inputs: [userInput, movieInput],
+    outputs: output
+  });
+  // The layers copied the tables into their own variables when they were built.
+  tf.dispose(initialTables);
+  return featureModel;
+}
+
+/**
+ * Build the scoring model for `modelType`. The feature-aware model needs the
+ * feature tables; plain MF ignores them.
+ */
+export function createModelOfType(modelType, numUsersValue, numMoviesValue, { latentDim, l2 }, features) {
+  return modelType === 'features'
+    ? createFeatureModel(numUsersValue, numMoviesValue, features, latentDim, l2)
+    : createModel(numUsersValue, numMoviesValue, latentDim, l2);
+}
+
+/**
+ * Copy a model's weights into plain typed arrays so they can be posted between
+ * the worker and the page. The arrays are copies (dataSync may hand back the
+ * backend's own storage), so their buffers are safe to transfer.
+ */
+export function serialiseWeights(sourceModel) {
+  return sourceModel.getWeights().map((weight) => ({
+    shape: weight.shape,
+    data: weight.dataSync().slice()
+  }));
+}
+
+/**
+ * Load weights produced by `serialiseWeights` into a model with the same
+ * architecture.
+ */
+export function restoreWeights(targetModel, serialisedWeights) {
+  const tensors = serialisedWeights.map(({ shape, data }) => tf.tensor(data, shape));
+  targetModel.setWeights(tensors);
+  tf.dispose(tensors);
+}
+
+/**
+ * Copy a trained model's weights into `targetModel`, the same architecture
+ * built for at least as many users and movies. Layers are matched by name.
+ * Embedding tables keep the target's freshly initialised rows past the
+ * source's known users or movies, whose last row was only the spare "+1" row.
+ * Frozen layers (the feature lookups) keep the target's tables, which were
+ * built for the larger counts.
+ */
+export function copyWeightsIntoLargerModel(sourceModel, targetModel) {
+  targetModel.layers.forEach((targetLayer) => {
+    if (!targetLayer.trainable || targetLayer.getWeights().length === 0) {
+      return;
+    }
+
+    const nextWeights = tf.tidy(() => targetLayer.getWeights().map((initial, i) => {
+      const trained = sourceModel.getLayer(targetLayer.name).getWeights()[i];
+      if (trained.shape[0] === initial.shape[0]) {
+        return trained.clone();
+      }
+
+      const knownRows = trained.shape[0] - 1;
+      return tf.concat([
+        trained.slice(0, knownRows),
+        initial.slice(knownRows, initial.shape[0] - knownRows)
+      ], 0);
+    }));
+    targetLayer.setWeights(nextWeights);
+    tf.dispose(nextWeights);
+  });
+}
+
+// Objectives the model can be trained with. `explicit` regresses star ratings;
+// the implicit objectives learn from "user interacted with movie" signals and
+// produce unbounded ranking scores (logits) instead of ratings.
+export const TRAINING_OBJECTIVES = ['explicit', 'bce', 'bpr'];
+
+export function isImplicitObjective(objective) {
+  return objective === 'bce' || objective === 'bpr';
+}
+
+/**
+ * Wrap a scoring model so it scores a positive and a negative movie for the
+ * same user in one pass. The wrapper shares the scoring model's layers, so
+ * training it trains the scoring model. Its output is [positive, negative].
+ */
+export function createPairwiseModel(scoringModel) {
+  const userInput = tf.input({ shape: [1], dtype: 'int32', name: 'pair-user-input' });
+  const positiveInput = tf.input({ shape: [1], dtype: 'int32', name: 'positive-movie-input' });
+  const negativeInput = tf.input({ shape: [1], dtype: 'int32', name: 'negative-movie-input' });
+
+  const positiveScore = scoringModel.apply([userInput, positiveInput]);
+  const negativeScore = scoringModel.apply([userInput, negativeInput]);
+  const output = tf.layers.concatenate({ name: 'pair-scores' }).apply([positiveScore, negativeScore]);
+
+  return tf.model({
+    inputs: [userInput, positiveInput, negativeInput],
+    outputs: output
+  });
+}
+
+/**
+ * Bayesian personalised ranking loss: -log σ(positive − negative). It only
+ * cares that rated movies outscore unrated ones, so the targets are ignored.
+ */
+function bprLoss(_, pairScores) {
+  return tf.tidy(() => {
+    const positive = pairScores.slice([0, 0], [-1, 1]);
+    const negative = pairScores.slice([0, 1], [-1, 1]);
+    const difference = positive.sub(negative);
+    return tf.losses.sigmoidCrossEntropy(tf.onesLike(difference), difference);
+  });
+}
+
+export function getObjectiveLoss(objective) {
+  if (objective === 'bpr') {
+    return bprLoss;
+  }
+
+  if (objective === 'bce') {
+    // The model outputs logits, so use the numerically stable fused loss.
+    return (labels, logits) => tf.losses.sigmoidCrossEntropy(labels, logits);
+  }
+
+  return 'meanSquaredError';
+}
+
+/**
+ * Wrap a training model so every example carries a weight. TensorFlow.js
+ * `fit` does not support sample weights yet, so the weight is fed through an
+ * extra input and appended to the output as a last column, where the loss
+ * from `getWeightedObjectiveLoss` splits it off again. The wrapper shares
+ * the training model's layers, like `createPairwiseModel` does.
+ */
+export function createSampleWeightedModel(trainingModel) {
+  const inputs = trainingModel.inputs.map((input, i) => tf.input({
+    shape: input.shape.slice(1),
+    dtype: input.dtype,
+    name: `weighted-input-${i}`
+  }));
+  const weightInput = tf.input({ shape: [1], name: 'sample-weight-input' });
+
+  const output = tf.layers.concatenate({ name: 'scores-and-weight' }).apply([
+    trainingModel.apply(inputs),
+    weightInput
+  ]);
+
+  return tf.model({
+    inputs: [...inputs, weightInput],
+    outputs: output
+  });
+}
+
+/**
+ * Loss for a `createSampleWeightedModel` wrapper: the objective's loss as a
+ * weighted mean over the examples. The targets need a spare last column to
+ * match the wrapper's output shape; its values are ignored.
+ */
+export function getWeightedObjectiveLoss(objective) {
+  return (targets, outputs) => tf.tidy(() => {
+    const scoreCount = outputs.shape[1] - 1;
+    const scores = outputs.slice([0, 0], [-1, scoreCount]);
+    const weights = outputs.slice([0, scoreCount], [-1, 1]);
+
+    if (objective === 'bpr') {
+      const difference = scores.slice([0, 0], [-1, 1]).sub(scores.slice([0, 1], [-1, 1]));
+      return tf.losses.sigmoidCrossEntropy(tf.onesLike(difference), difference, weights, 0, tf.Reduction.MEAN);
+    }
+
+    const labels = targets.slice([0, 0], [-1, scoreCount]);
+    if (objective === 'bce') {
+      return tf.losses.sigmoidCrossEntropy(labels, scores, weights, 0, tf.Reduction.MEAN);
+    }
+    return tf.losses.meanSquaredError(labels, scores, weights, tf.Reduction.MEAN);
+  });
+}
+
+/**
+ * Map a raw model output onto [0, 1] so scores from either kind of model can
+ * be blended or displayed: star ratings are rescaled from 1–5 and implicit
+ * logits go through the sigmoid.
+ */
+export function modelScoreToUnit(rawScore, objective) {
+  if (isImplicitObjective(objective)) {
+    return 1 / (1 + Math.exp(-rawScore));
+  }
+
+  return (Math.min(5, Math.max(1, rawScore)) - 1) / 4;
+}
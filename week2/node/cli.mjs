@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+// cli.mjs is the command-line front end to recommender.mjs, for scheduled jobs
+// that train, evaluate or recommend without a browser:
+//
+//   node node/cli.mjs train --epochs 5 --latentDim 32
+//   node node/cli.mjs evaluate --split temporal --baselines
+//   node node/cli.mjs recommend --user 42 --k 10
+//
+// `train` saves the model (by default to ./model) and `recommend` loads it
+// back, refusing one trained on different data. Every training setting from
+// settings.js is accepted as --<key>; progress goes to stderr so --json output
+// on stdout stays parseable.
+//
+// Run `npm install` in week2/ first: package.json declares
+// @tensorflow/tfjs-node, which everything but --help needs.
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { createPipeline, loadTensorFlow } from './recommender.mjs';
+
+const COMMANDS = ['train', 'evaluate', 'recommend'];
+const DEFAULT_DATA_DIRECTORY = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const USAGE = `Usage: node node/cli.mjs <${COMMANDS.join('|')}> [options]
+
+  train                   Train a model on every rating and save it
+  evaluate                Train on a split and print the held-out metrics
+  recommend --user <id>   Print the saved model's top picks for a user
+
+Options:
+  --data <dir>            Directory with the MovieLens files (default: ${DEFAULT_DATA_DIRECTORY})
+  --dataset <id>          ml-100k, ml-1m, ml-10m, ml-latest-small or ml-25m (default: ml-100k)
+  --model <dir>           Where train saves and recommend loads the model (default: ./model)
+  --strict                Refuse datasets with malformed, out-of-range or duplicate lines
+  --k <n>                 Length of the recommendation lists (default: 10)
+  --split <strategy>      evaluate: random, temporal or leave-last-n (default: random)
+  --holdout <n>           evaluate: ratings held out per user for leave-last-n (default: 5)
+  --baselines             evaluate: also score the baselines on the same split
+  --diversity <0-1>, --popularity-penalty <0-1>, --genre-quota <n>
+                          Re-rank lists as the page's "Re-ranking" panel does
+  --json                  Print machine-readable JSON instead of text
+  --<setting> <value>     Any training setting, e.g. --epochs 5 --objective bpr`;
+
+const SPLIT_STRATEGIES = ['random', 'temporal', 'leave-last-n'];
+
+async function main(argv) {
+  // The setting names are known without TensorFlow.js, which is only loaded
+  // once there is something to run.
+  const settingKeys = Object.keys((await createPipeline()).readSettings());
+
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      data: { type: 'string', default: DEFAULT_DATA_DIRECTORY },
+      dataset: { type: 'string', default: 'ml-100k' },
+      model: { type: 'string', default: 'model' },
+      user: { type: 'string' },
+      k: { type: 'string', default: '10' },
+      split: { type: 'string', default: 'random' },
+      holdout: { type: 'string', default: '5' },
+      baselines: { type: 'boolean', default: false },
+      diversity: { type: 'string', default: '0' },
+      'popularity-penalty': { type: 'string', default: '0' },
+      'genre-quota': { type: 'string', default: '0' },
+      strict: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+      ...Object.fromEntries(settingKeys.map((key) => [key, { type: 'string' }]))
+    }
+  });
+
+  const [command] = positionals;
+  if (options.help || !COMMANDS.includes(command)) {
+    console.log(USAGE);
+    return options.help ? 0 : 1;
+  }
+
+  const pipeline = await createPipeline({ tf: await loadTensorFlow() });
+  const settings = pipeline.readSettings(
+    Object.fromEntries(settingKeys.filter((key) => options[key] !== undefined).map((key) => [key, options[key]]))
+  );
+  const k = readInteger(options.k, '--k', 1);
+  const reranking = {
+    diversity: readNumber(options.diversity, '--diversity', 0, 1),
+    popularityPenalty: readNumber(options['popularity-penalty'], '--popularity-penalty', 0, 1),
+    maxPerGenre: readInteger(options['genre-quota'], '--genre-quota', 0)
+  };
+
+  log(`Loading ${options.dataset} from ${options.data}...`);
+  let dataset;
+  try {
+    dataset = await pipeline.loadData(options.data, options.dataset, undefined, { strict: options.strict });
+  } finally {
+    logDataQuality(pipeline);
+  }
+  log(`Loaded ${dataset.movieCount} movies, ${dataset.userCount} users and ${dataset.ratingCount} ratings.`);
+
+  if (command === 'train') {
+    await pipeline.train(settings, { onProgress: logProgress });
+    await pipeline.saveModel(options.model);
+    print(options.json, { model: path.resolve(options.model), settings, ...dataset }, () => `Saved the model to ${path.resolve(options.model)}.`);
+  } else if (command === 'evaluate') {
+    if (!SPLIT_STRATEGIES.includes(options.split)) {
+      throw new Error(`--split must be one of: ${SPLIT_STRATEGIES.join(', ')}.`);
+    }
+    const split = pipeline.splitRatings({
+      strategy: options.split,
+      holdoutCount: readInteger(options.holdout, '--holdout', 1)
+    });
+    log(`Training on ${split.train.length} ratings, holding out ${split.test.length}...`);
+    await pipeline.train(settings, { trainingRows: split.train, onProgress: logProgress });
+
+    const rows = pipeline.evaluate(split, { k, reranking, baselines: options.baselines });
+    print(options.json, { split: options.split, settings, rows }, () => formatMetricsTable(pipeline, rows));
+  } else {
+    const userId = readInteger(options.user, '--user', 0);
+    await pipeline.loadModel(options.model);
+    const recommendations = pipeline.recommend(userId, { k, reranking });
+    const { objective } = pipeline.modelInfo;
+    print(options.json, { user: userId, objective, recommendations }, () => recommendations
+      .map(({ movieId, title, score }, rank) => `${String(rank + 1).padStart(3)}. ${title} (movie ${movieId}) — ${formatScore(pipeline, objective, score)}`)
+      .join('\n'));
+  }
+
+  pipeline.dispose();
+  return 0;
+}
+
+function readNumber(rawValue, flag, min, max = Infinity) {
+  const value = Number(rawValue);
+  if (rawValue === undefined || !Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`${flag} must be a number${max === Infinity ? ` of at least ${min}` : ` between ${min} and ${max}`}.`);
+  }
+  return value;
+}
+
+function readInteger(rawValue, flag, min) {
+  const value = readNumber(rawValue, flag, min);
+  if (!Number.isInteger(value)) {
+    throw new Error(`${flag} must be a whole number.`);
+  }
+  return value;
+}
+
+function log(message) {
+  process.stderr.write(`${message}\n`);
+}
+
+function logDataQuality(pipeline) {
+  pipeline.summariseDataQualityReport().forEach(({ check, count, examples }) => {
+    log(`Data quality: ${check.label}: ${count} (${check.effect})`);
+    examples.forEach(({ line, text }) => log(`  ${line === null ? '' : `line ${line}: `}${text}`));
+  });
+}
+
+function logProgress(progress) {
+  if (progress.stage === 'epoch') {
+    const validation = progress.validationLoss === null ? '' : `, validation loss: ${progress.validationLoss.toFixed(4)}`;
+    log(`Epoch ${progress.epoch + 1}/${progress.epochs} — loss: ${progress.loss.toFixed(4)}${validation}`);
+  } else if (progress.stage === 'early-stop') {
+    log(`Stopping early after epoch ${progress.epoch + 1}: no improvement since epoch ${progress.bestEpoch + 1}.`);
+  }
+}
+
+function print(asJson, value, formatText) {
+  console.log(asJson ? JSON.stringify(value, null, 2) : formatText());
+}
+
+// Mirrors formatModelScore in script.js.
+function formatScore(pipeline, objective, rawScore) {
+  if (objective === 'explicit') {
+    return `${Math.min(5, Math.max(1, rawScore)).toFixed(2)} / 5`;
+  }
+  return `${Math.round(pipeline.toUnitScore(rawScore) * 100)}% match`;
+}
+
+function formatMetricsTable(pipeline, rows) {
+  const formatMetric = (value) => pipeline.formatMetric(value);
+  const columns = [
+    ['Recommender', (row) => row.name],
+    ['RMSE', (row) => formatMetric(row.rmse)],
+    ['MAE', (row) => formatMetric(row.mae)],
+    [`Precision@${rows[0].k}`, (row) => formatMetric(row.precision)],
+    [`Recall@${rows[0].k}`, (row) => formatMetric(row.recall)],
+    [`NDCG@${rows[0].k}`, (row) => formatMetric(row.ndcg)],
+    ['Diversity', (row) => formatMetric(row.diversity)],
+    ['Novelty', (row) => formatMetric(row.novelty)],
+    ['Coverage', (row) => formatMetric(row.coverage)]
+  ];
+  const cells = [columns.map(([header]) => header), ...rows.map((row) => columns.map(([, format]) => format(row)))];
+  const widths = columns.map((_, i) => Math.max(...cells.map((line) => line[i].length)));
+  return cells.map((line) => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+main(process.argv.slice(2)).then(
+  (exitCode) => {
+    process.exitCode = exitCode;
+  },
+  (error) => {
+    log(`Error: ${error.message}`);
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,441 @@
+// recommender.mjs runs the recommender pipeline outside the browser: load a
+// MovieLens release from disk, train a model, evaluate it on a held-out split,
+// save and load it, and score movies for a user. It imports the same DOM-free
+// modules as the page (data.js, model.js, pipeline.js, evaluation.js and
+// friends) and calls training.js directly where the page goes through the
+// training worker.
+//
+// The data modules hold one dataset per process, so every pipeline shares it:
+// loading data through one pipeline replaces it for all of them.
+//
+// TensorFlow.js is passed in rather than imported, so the parsers can be used
+// (and tested) without it; cli.mjs hands over @tensorflow/tfjs-node. The
+// modules use it through the global `tf`, as on the page.
+
+import { openAsBlob } from 'node:fs';
+import { access } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { BASELINES, fitBaseline } from '../baselines.js';
+import {
+  DATASET_SOURCES,
+  addMovie,
+  addRatings,
+  dataQualityReport,
+  getMovieRatingCounts,
+  getUserRatingRows,
+  loadData,
+  movieIndexById,
+  movies,
+  numUsers,
+  ratings,
+  restoreDataset,
+  snapshotDataset,
+  userIds,
+  userIndexById
+} from '../data.js';
+import {
+  DEFAULT_RANKING_K,
+  evaluateRecommender,
+  formatMetric,
+  rankUnseenMovies,
+  splitRatings
+} from '../evaluation.js';
+import { isImplicitObjective, modelScoreToUnit, restoreWeights } from '../model.js';
+import { ONBOARDING_MIN_RATINGS, scoreVisitorForAllMovies } from '../onboarding.js';
+import { assertCanUpdateOnline, prepareOnlineUpdate } from '../online-updates.js';
+import { buildTrainedModel, buildTrainingPayload, predictModelScore, scoreMoviesForUser } from '../pipeline.js';
+import { DEFAULT_RERANKING_SETTINGS, getRerankingPoolSize, rerankMovies } from '../reranking.js';
+import { DEFAULT_TRAINING_SETTINGS, readSettings } from '../settings.js';
+import { DEFAULT_NEIGHBOUR_COUNT, buildMovieNeighbours } from '../similarity.js';
+import { buildModelMetadata, computeDatasetHash } from '../storage.js';
+import { train } from '../training.js';
+import { summariseDataQualityReport } from '../validation.js';
+
+/**
+ * Import @tensorflow/tfjs-node, the backend cli.mjs and server.mjs run on.
+ * It is imported on demand so `--help` and the parsers work without it, and a
+ * missing or unbuilt install fails with a hint rather than a stack trace.
+ */
+export async function loadTensorFlow() {
+  try {
+    return await import('@tensorflow/tfjs-node');
+  } catch (error) {
+    throw new Error(`@tensorflow/tfjs-node could not be loaded: ${error.message.split('\n')[0].trim()} Run "npm install" in week2/ to install it.`);
+  }
+}
+
+/**
+ * Create a pipeline over the shared dataset. `tf` is the TensorFlow.js module
+ * to train and predict with, and becomes the global `tf`; without it only the
+ * data functions work.
+ */
+export async function createPipeline({ tf = null } = {}) {
+  if (tf) {
+    globalThis.tf = tf;
+  }
+
+  const requireTf = () => {
+    if (!tf) {
+      throw new Error('This pipeline was created without TensorFlow.js.');
+    }
+  };
+
+  let activeModel = null;
+  let activeInfo = null;
+  // Nearest neighbours of every movie for the active model, built on first
+  // use as `{ k, lists }` (see `buildMovieNeighbours`).
+  let movieNeighbours = null;
+
+  const setActiveModel = (nextModel, info) => {
+    if (activeModel && activeModel !== nextModel) {
+      activeModel.dispose();
+    }
+    activeModel = nextModel;
+    activeInfo = info;
+    movieNeighbours = null;
+  };
+
+  const requireModel = () => {
+    if (!activeModel) {
+      throw new Error('No model is loaded. Train or load one first.');
+    }
+  };
+
+  const requireMovieIndex = (movieId) => {
+    const movieIndex = movieIndexById[movieId];
+    if (movieIndex === undefined) {
+      throw new Error(`Movie ${movieId} is not in the dataset.`);
+    }
+    return movieIndex;
+  };
+
+  const requireUserIndex = (userId) => {
+    const userIndex = userIndexById[userId];
+    if (userIndex === undefined) {
+      throw new Error(`User ${userId} is not in the dataset.`);
+    }
+    return userIndex;
+  };
+
+  const rankForUser = (scores, seen, k, reranking, ratingCounts) => rerankMovies(
+    rankUnseenMovies(scores, seen, getRerankingPoolSize(k, reranking)),
+    scores,
+    k,
+    reranking,
+    ratingCounts
+  );
+
+  const describeMovie = (movieIndex) => {
+    const movie = movies[movieIndex];
+    return { movieId: movie.id, title: movie.title, genres: movie.genres };
+  };
+
+  const listRecommendations = (scores, seen, k, reranking) => rankForUser(
+    scores,
+    seen,
+    k,
+    reranking,
+    getMovieRatingCounts()
+  ).map((movieIndex) => ({ ...describeMovie(movieIndex), score: scores[movieIndex] }));
+
+  return {
+    get movies() {
+      return movies;
+    },
+    get ratings() {
+      return ratings;
+    },
+    get userIds() {
+      return userIds;
+    },
+    get modelInfo() {
+      return activeInfo;
+    },
+    // What the parsers skipped or distrusted (see validation.js).
+    get dataQualityReport() {
+      return dataQualityReport;
+    },
+
+    hasUser: (userId) => userIndexById[userId] !== undefined,
+    hasMovie: (movieId) => movieIndexById[movieId] !== undefined,
+
+    summariseDataQualityReport: () => summariseDataQualityReport(dataQualityReport),
+
+    /**
+     * Load a MovieLens release from `directory`, laid out as in
+     * `DATASET_SOURCES` (data.js): the 100K files at the top level, the other
+     * releases in their own subdirectories. With `strict`, problems that
+     * lose data fail the load (see `assertDataQuality`). Resolves to
+     * `{ movieCount, userCount, ratingCount, datasetHash }`.
+     */
+    async loadData(directory, datasetId = 'ml-100k', onProgress = () => {}, { strict = false } = {}) {
+      const source = DATASET_SOURCES.find((candidate) => candidate.id === datasetId);
+      if (!source) {
+        const known = DATASET_SOURCES.map((candidate) => candidate.id).join(', ');
+        throw new Error(`Unknown dataset "${datasetId}". Expected one of: ${known}.`);
+      }
+
+      setActiveModel(null, null);
+      const open = (file) => (file ? openLocalFile(path.resolve(directory, file)) : file);
+      await loadData({
+        ...source,
+        items: await open(source.items),
+        ratings: await open(source.ratings),
+        users: await open(source.users)
+      }, onProgress, { strict });
+
+      return {
+        movieCount: movies.length,
+        userCount: numUsers,
+        ratingCount: ratings.length,
+        datasetHash: computeDatasetHash(movies, ratings)
+      };
+    },
+
+    /**
+     * Validate training settings given as raw values keyed like
+     * `DEFAULT_TRAINING_SETTINGS` (strings or numbers); missing keys take the
+     * default. Throws naming the first invalid setting.
+     */
+    readSettings(values = {}) {
+      return readSettings((field) => String(values[field.key] ?? DEFAULT_TRAINING_SETTINGS[field.key]));
+    },
+
+    splitRatings: (options) => splitRatings(options),
+    formatMetric: (value) => formatMetric(value),
+
+    /**
+     * Train a fresh model with validated `settings` and make it the active
+     * one. `trainingRows` restricts training to those rows of the ratings
+     * table (e.g. `split.train`); `onProgress` receives the progress messages
+     * the page's training worker would post (see training.js).
+     */
+    async train(settings, { trainingRows = null, onProgress = () => {} } = {}) {
+      requireTf();
+      const { payload, featureVocabulary, features } = buildTrainingPayload(trainingRows, settings);
+
+      const weights = await train(payload, onProgress);
+      setActiveModel(buildTrainedModel(settings, features, weights), {
+        objective: settings.objective,
+        modelType: settings.modelType,
+        featureVocabulary,
+        settings
+      });
+      return activeInfo;
+    },
+
+    /**
+     * Add ratings that arrived since the data was loaded and fine-tune the
+     * active model on them instead of retraining (see online-updates.js).
+     * `newRatings` are `{ userId, movieId, rating, timestamp }`; unknown user
+     * IDs add users, and `newMovies` (`{ id, title, genres, year }`) lists
+     * movies to add first. The optimisation settings (learning rate, batch
+     * size, ...) come from `settings`. The active model is replaced by one
+     * grown for the new users and movies even when fine-tuning fails; if
+     * the model cannot be grown, the data is left as it was. Note that the
+     * data no longer matches the files, so `saveModel` records the new
+     * dataset hash.
+     */
+    async update(newRatings, {
+      newMovies = [],
+      settings = DEFAULT_TRAINING_SETTINGS,
+      onProgress = () => {}
+    } = {}) {
+      requireModel();
+      assertCanUpdateOnline(activeModel);
+      const snapshot = snapshotDataset();
+      let grownModel;
+      let payload;
+      try {
+        newMovies.forEach((movie) => addMovie(movie));
+        const newRows = addRatings(newRatings);
+        ({ grownModel, payload } = prepareOnlineUpdate(activeModel, newRows, settings, activeInfo));
+      } catch (error) {
+        restoreDataset(snapshot);
+        throw error;
+      }
+
+      try {
+        restoreWeights(grownModel, await train(payload, onProgress));
+      } finally {
+        setActiveModel(grownModel, activeInfo);
+      }
+      return { userCount: numUsers, movieCount: movies.length, ratingCount: ratings.length };
+    },
+
+    /**
+     * Evaluate the active model on `split`, as the page's "Evaluate" button
+     * does. With `baselines` the baselines are fitted on the training half
+     * and scored on the same split. Resolves to one row per recommender,
+     * `{ name, ...metrics }` as returned by `evaluateRecommender`.
+     */
+    evaluate(split, { k = DEFAULT_RANKING_K, reranking = DEFAULT_RERANKING_SETTINGS, baselines = false } = {}) {
+      requireModel();
+      const rankMovies = (scores, seen, listSize, trainCounts) => rankForUser(scores, seen, listSize, reranking, trainCounts);
+      const rows = [{
+        name: `${activeInfo.modelType} (${activeInfo.objective})`,
+        ...evaluateRecommender((userId) => scoreMoviesForUser(activeModel, userIndexById[userId]), split, {
+          k,
+          ratingMetrics: !isImplicitObjective(activeInfo.objective),
+          rankMovies
+        })
+      }];
+
+      if (baselines) {
+        BASELINES.forEach((definition) => {
+          const baseline = fitBaseline(definition.id, split.train);
+          rows.push({
+            name: `${baseline.label} baseline`,
+            ...evaluateRecommender(baseline.scoreUser, split, { k, ratingMetrics: baseline.predictsRatings, rankMovies })
+          });
+        });
+      }
+
+      return rows;
+    },
+
+    /**
+     * The active model's top `k` movies for `userId` among those they have
+     * not rated, best first, as `{ movieId, title, genres, score }` with the
+     * raw model score (see `toUnitScore`). `excludedMovieIds` leaves out
+     * further movies, such as ones rated since the data was loaded.
+     */
+    recommend(userId, {
+      k = DEFAULT_RANKING_K,
+      reranking = DEFAULT_RERANKING_SETTINGS,
+      excludedMovieIds = []
+    } = {}) {
+      requireModel();
+      const userIndex = requireUserIndex(userId);
+      const seen = new Set(getUserRatingRows(userIndex).map((row) => ratings.movieIndices[row]));
+      excludedMovieIds.forEach((movieId) => seen.add(movieIndexById[movieId]));
+
+      return listRecommendations(scoreMoviesForUser(activeModel, userIndex), seen, k, reranking);
+    },
+
+    /**
+     * Top `k` movies for someone who is not in the ratings table, from their
+     * ratings as `{ movieId: rating }`. A user vector is folded into the
+     * active model as for the page's visitors (see onboarding.js), which only
+     * plain MF models support; at least `ONBOARDING_MIN_RATINGS` are needed.
+     */
+    recommendForRatings(visitorRatings, {
+      k = DEFAULT_RANKING_K,
+      reranking = DEFAULT_RERANKING_SETTINGS
+    } = {}) {
+      requireModel();
+      if (activeInfo.modelType !== 'mf') {
+        throw new Error('Only matrix factorisation models can fold in new users.');
+      }
+      if (Object.keys(visitorRatings).length < ONBOARDING_MIN_RATINGS) {
+        throw new Error(`At least ${ONBOARDING_MIN_RATINGS} ratings are needed to recommend for a new user.`);
+      }
+
+      const scores = scoreVisitorForAllMovies(activeModel, activeInfo.objective, visitorRatings);
+      const seen = new Set(Object.keys(visitorRatings).map((movieId) => movieIndexById[movieId]));
+      return listRecommendations(scores, seen, k, reranking);
+    },
+
+    /**
+     * The `k` movies whose learned embeddings are closest to `movieId`'s, as
+     * `{ movieId, title, genres, similarity }` with the cosine similarity.
+     */
+    similarMovies(movieId, { k = DEFAULT_NEIGHBOUR_COUNT } = {}) {
+      requireModel();
+      const movieIndex = requireMovieIndex(movieId);
+      if (!movieNeighbours || movieNeighbours.k < k) {
+        movieNeighbours = { k, lists: buildMovieNeighbours(activeModel, movies.length, k) };
+      }
+
+      return movieNeighbours.lists[movieIndex]
+        .slice(0, k)
+        .map(({ index, similarity }) => ({ ...describeMovie(index), similarity }));
+    },
+
+    /**
+     * The active model's raw score for one user and movie.
+     */
+    predict(userId, movieId) {
+      requireModel();
+      return predictModelScore(activeModel, requireUserIndex(userId), requireMovieIndex(movieId));
+    },
+
+    /**
+     * Map a raw score onto [0, 1] for the active model's objective: stars
+     * for explicit models, a sigmoid for implicit ones (see `modelScoreToUnit`).
+     */
+    toUnitScore(rawScore) {
+      requireModel();
+      return modelScoreToUnit(rawScore, activeInfo.objective);
+    },
+
+    /**
+     * Save the active model to `directory` as model.json plus weights, with
+     * the same metadata the page stores. Needs @tensorflow/tfjs-node, which
+     * provides the file:// handler.
+     */
+    async saveModel(directory) {
+      requireModel();
+      const datasetHash = computeDatasetHash(movies, ratings);
+      activeModel.setUserDefinedMetadata(buildModelMetadata(datasetHash, activeInfo));
+      await activeModel.save(pathToFileURL(path.resolve(directory)).href);
+    },
+
+    /**
+     * Load a model saved by `saveModel` (or exported from the page) and make
+     * it the active one. Throws when it was trained on different data; the
+     * dataset hash covers every ID, so a match also means the saved
+     * ID-to-index mappings are the ones loaded.
+     */
+    async loadModel(directory) {
+      requireTf();
+      const modelUrl = pathToFileURL(path.resolve(directory, 'model.json')).href;
+      const loadedModel = await tf.loadLayersModel(modelUrl);
+      const metadata = loadedModel.getUserDefinedMetadata();
+      const datasetHash = computeDatasetHash(movies, ratings);
+
+      if (!metadata || metadata.datasetHash !== datasetHash) {
+        loadedModel.dispose();
+        throw new Error(`The model in ${directory} was trained on a different dataset.`);
+      }
+
+      setActiveModel(loadedModel, {
+        objective: metadata.objective ?? 'explicit',
+        modelType: metadata.modelType ?? 'mf',
+        featureVocabulary: metadata.featureVocabulary ?? null,
+        settings: metadata.trainingSettings ?? null
+      });
+      return activeInfo;
+    },
+
+    dispose() {
+      setActiveModel(null, null);
+    }
+  };
+}
+
+/**
+ * Open a local file as a Blob, which data.js reads like a file picked on the
+ * page. A missing file becomes a stand-in that fails once read, so data.js
+ * reports it as it reports a 404: fatal for the movies and ratings, a data
+ * quality issue for the optional users file.
+ */
+async function openLocalFile(file) {
+  try {
+    await access(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    const missing = new Error(`Unable to load ${file} (file not found)`);
+    return {
+      size: 0,
+      arrayBuffer: () => Promise.reject(missing),
+      stream: () => new ReadableStream({ start: (controller) => controller.error(missing) })
+    };
+  }
+
+  return openAsBlob(file);
+}
@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+// server.mjs serves a model saved by `cli.mjs train` over a small local JSON
+// API, so other apps can ask for recommendations without the demo page:
+//
+//   GET  /users/:id/recommendations?k=10   top picks the user has not rated
+//   GET  /predict?user=42&movie=50         one predicted score
+//   GET  /movies/:id/similar?k=10          nearest movies in embedding space
+//   POST /users/:id/ratings                record {"movieId": 50, "rating": 4}
+//
+// Ratings posted here are kept apart from the MovieLens files (whose hash the
+// saved model is tied to), optionally in a JSON file given with --feedback.
+// They stop rated movies from being recommended again, and users who are not
+// in the data get recommendations once they have rated a few movies, by
+// folding them into the model as the page does for visitors.
+//
+//   node node/server.mjs --model model --port 8080 --feedback feedback.json
+//
+// Everything runs offline against local files; the server only listens on
+// 127.0.0.1 unless --host says otherwise.
+
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { createPipeline, loadTensorFlow } from './recommender.mjs';
+
+const DEFAULT_DATA_DIRECTORY = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_PORT = 8080;
+// Longer lists are refused rather than silently shortened.
+const MAX_LIST_LENGTH = 100;
+const MAX_BODY_BYTES = 64 * 1024;
+// Half stars cover every MovieLens release.
+const RATING_RANGE = [0.5, 5];
+
+/**
+ * An error the client caused, answered with `status` and the message.
+ */
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isHttpError(error) {
+  return error instanceof Error && Number.isInteger(error.status);
+}
+
+/**
+ * Build the API around a pipeline that already has data and a model loaded.
+ * `feedback` maps user IDs to `{ movieId: rating }` for ratings received
+ * since; it is updated in place, and `onFeedback` is awaited after every
+ * change (e.g. to persist it). Returns an http.Server that is not listening
+ * yet, so tests can listen on port 0.
+ */
+export function createRecommendationServer(pipeline, { feedback = {}, onFeedback = async () => {} } = {}) {
+  // [method, path pattern, handler, status on success]. Handlers receive the
+  // pattern's captures, the query and (for POST) the parsed JSON body.
+  const routes = [
+    ['GET', /^\/users\/([^/]+)\/recommendations$/, ([userId], query) => {
+      const id = parseId(userId, 'user');
+      const k = parseListLength(query.get('k'));
+      const userFeedback = feedback[id] ?? {};
+
+      if (pipeline.hasUser(id)) {
+        return {
+          userId: id,
+          recommendations: pipeline.recommend(id, { k, excludedMovieIds: Object.keys(userFeedback) }).map(describeScored)
+        };
+      }
+      if (Object.keys(userFeedback).length === 0) {
+        throw createHttpError(404, `User ${id} is not in the dataset and has posted no ratings.`);
+      }
+      try {
+        return { userId: id, recommendations: pipeline.recommendForRatings(userFeedback, { k }).map(describeScored) };
+      } catch (error) {
+        throw createHttpError(409, error.message);
+      }
+    }],
+
+    ['GET', /^\/predict$/, (_, query) => {
+      const userId = parseId(query.get('user'), 'user');
+      const movieId = parseId(query.get('movie'), 'movie');
+      requireUser(userId);
+      requireMovie(movieId);
+      const movie = pipeline.movies.find((candidate) => candidate.id === movieId);
+      return { userId, movieId, title: movie.title, ...describeScore(pipeline.predict(userId, movieId)) };
+    }],
+
+    ['GET', /^\/movies\/([^/]+)\/similar$/, ([movieId], query) => {
+      const id = parseId(movieId, 'movie');
+      requireMovie(id);
+      return { movieId: id, similar: pipeline.similarMovies(id, { k: parseListLength(query.get('k')) }) };
+    }],
+
+    ['POST', /^\/users\/([^/]+)\/ratings$/, async ([userId], query, body) => {
+      const id = parseId(userId, 'user');
+      const { movieId, rating } = body ?? {};
+      if (!Number.isInteger(movieId)) {
+        throw createHttpError(400, 'The body needs an integer "movieId".');
+      }
+      requireMovie(movieId);
+      if (typeof rating !== 'number' || rating < RATING_RANGE[0] || rating > RATING_RANGE[1]) {
+        throw createHttpError(400, `"rating" must be a number between ${RATING_RANGE[0]} and ${RATING_RANGE[1]}.`);
+      }
+
+      const previousRating = feedback[id]?.[movieId];
+      feedback[id] = { ...feedback[id], [movieId]: rating };
+      try {
+        await onFeedback(feedback);
+      } catch (error) {
+        // A rating that was not saved must not steer recommendations either.
+        // Only this movie is put back: a request that overlapped with this
+        // one may have rated others since.
+        const restored = { ...feedback[id] };
+        if (previousRating === undefined) {
+          delete restored[movieId];
+        } else {
+          restored[movieId] = previousRating;
+        }
+        if (Object.keys(restored).length === 0) {
+          delete feedback[id];
+        } else {
+          feedback[id] = restored;
+        }
+        throw error;
+      }
+      return { userId: id, movieId, rating, feedbackCount: Object.keys(feedback[id]).length };
+    }, 201]
+  ];
+
+  const requireUser = (userId) => {
+    if (!pipeline.hasUser(userId)) {
+      throw createHttpError(404, `User ${userId} is not in the dataset.`);
+    }
+  };
+
+  const requireMovie = (movieId) => {
+    if (!pipeline.hasMovie(movieId)) {
+      throw createHttpError(404, `Movie ${movieId} is not in the dataset.`);
+    }
+  };
+
+  const describeScore = (score) => {
+    const { objective } = pipeline.modelInfo;
+    // Same display rules as formatModelScore in script.js: explicit models
+    // predict stars (clamped), implicit ones a probability of interest.
+    return objective === 'explicit'
+      ? { score, rating: Math.min(5, Math.max(1, score)) }
+      : { score, match: pipeline.toUnitScore(score) };
+  };
+
+  const describeScored = ({ score, ...movie }) => ({ ...movie, ...describeScore(score) });
+
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    let status;
+    let body;
+
+    try {
+      const matching = routes.filter(([, pattern]) => pattern.test(url.pathname));
+      const route = matching.find(([method]) => method === request.method);
+      if (!route) {
+        throw matching.length > 0
+          ? createHttpError(405, `${request.method} is not supported on ${url.pathname}.`)
+          : createHttpError(404, `No route for ${url.pathname}.`);
+      }
+
+      const [method, pattern, handle, successStatus = 200] = route;
+      const params = pattern.exec(url.pathname).slice(1).map(decodePathSegment);
+      body = await handle(params, url.searchParams, method === 'POST' ? await readJsonBody(request) : null);
+      status = successStatus;
+    } catch (error) {
+      if (!isHttpError(error)) {
+        console.error(`${request.method} ${request.url} failed`, error);
+      }
+      status = isHttpError(error) ? error.status : 500;
+      body = { error: isHttpError(error) ? error.message : 'Internal server error.' };
+    }
+
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(body));
+  });
+}
+
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw createHttpError(400, `Malformed percent-encoding in "${segment}".`);
+  }
+}
+
+function parseId(rawValue, kind) {
+  const value = Number(rawValue);
+  if (rawValue === null || rawValue === '' || !Number.isInteger(value)) {
+    throw createHttpError(400, `The ${kind} ID must be an integer.`);
+  }
+  return value;
+}
+
+function parseListLength(rawValue) {
+  if (rawValue === null) {
+    return 10;
+  }
+  const value = Number(rawValue);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_LIST_LENGTH) {
+    throw createHttpError(400, `k must be a whole number between 1 and ${MAX_LIST_LENGTH}.`);
+  }
+  return value;
+}
+
+async function readJsonBody(request) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw createHttpError(413, 'The request body is too large.');
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw createHttpError(400, 'The request body must be JSON.');
+  }
+}
+
+/**
+ * Read saved feedback, or start empty when the file does not exist yet.
+ */
+async function readFeedbackFile(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+/**
+ * Persist feedback to `file` one write at a time. Each call snapshots the
+ * feedback straight away and queues the write behind any still in flight, so
+ * concurrent POSTs cannot interleave their writes or land out of order. The
+ * JSON goes to a temporary file that is then renamed over `file`, so a crash
+ * mid-write leaves the previous version intact.
+ */
+export function createFeedbackWriter(file) {
+  const temporaryFile = `${file}.tmp`;
+  let queue = Promise.resolve();
+
+  return (latest) => {
+    const json = JSON.stringify(latest, null, 2);
+    const write = queue.then(async () => {
+      await writeFile(temporaryFile, json);
+      await rename(temporaryFile, file);
+    });
+    // A failed write is reported to its own caller, not to the next one.
+    queue = write.catch(() => {});
+    return write;
+  };
+}
+
+async function main(argv) {
+  const { values: options } = parseArgs({
+    args: argv,
+    options: {
+      data: { type: 'string', default: DEFAULT_DATA_DIRECTORY },
+      dataset: { type: 'string', default: 'ml-100k' },
+      model: { type: 'string', default: 'model' },
+      feedback: { type: 'string' },
+      host: { type: 'string', default: '127.0.0.1' },
+      port: { type: 'string', default: String(DEFAULT_PORT) }
+    }
+  });
+
+  const port = Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error('--port must be a whole number between 0 and 65535.');
+  }
+
+  const pipeline = await createPipeline({ tf: await loadTensorFlow() });
+  const dataset = await pipeline.loadData(options.data, options.dataset);
+  await pipeline.loadModel(options.model);
+  console.log(`Loaded ${dataset.movieCount} movies, ${dataset.userCount} users and the model in ${path.resolve(options.model)}.`);
+
+  const feedback = options.feedback ? await readFeedbackFile(options.feedback) : {};
+  const server = createRecommendationServer(pipeline, {
+    feedback,
+    onFeedback: options.feedback ? createFeedbackWriter(options.feedback) : undefined
+  });
+
+  server.listen(port, options.host, () => {
+    const { port: boundPort } = server.address();
+    console.log(`Serving recommendations on http://${options.host}:${boundPort}`);
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] ?? '').href) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,179 @@
+// onboarding.js gives visitors who are not in the MovieLens data personal
+// recommendations. They rate a few well-known movies, and instead of
+// retraining we fit only a new user vector and bias against the trained
+// model's frozen movie embeddings and biases ("folding in" the user). That
+// takes a fraction of a second, so results appear as soon as they ask.
+
+import { getMovieRatingCounts, movieIndexById, movies } from './data.js';
+import { isImplicitObjective } from './model.js';
+import { LIKED_RATING_THRESHOLD } from './hybrid.js';
+
+const ONBOARDING_MOVIE_COUNT = 12;
+export const ONBOARDING_MIN_RATINGS = 3;
+// Onboarding movies are drawn from this many of the most rated movies, which
+// visitors are the most likely to have seen.
+const ONBOARDING_POOL_SIZE = 150;
+const FOLD_IN_STEPS = 200;
+const FOLD_IN_LEARNING_RATE = 0.05;
+// Keeps the fitted vector small when the visitor has rated only a handful of
+// movies, for the same reason as the model's own L2 setting.
+const FOLD_IN_L2 = 0.05;
+// Visitor ratings are stored per dataset, since movie IDs differ between
+// MovieLens releases.
+const VISITOR_RATINGS_STORAGE_PREFIX = 'matrix-factorization-recommender/visitor-ratings/';
+
+/**
+ * Choose popular movies that between them cover as many genres as possible.
+ * Each pick is the movie adding the most genres not yet covered, with ties
+ * going to the more rated movie. Returns indices into `movies`.
+ */
+export function pickOnboardingMovies(count = ONBOARDING_MOVIE_COUNT) {
+  const ratingCounts = getMovieRatingCounts();
+  const pool = movies
+    .map((_, index) => index)
+    .sort((a, b) => ratingCounts[b] - ratingCounts[a])
+    .slice(0, ONBOARDING_POOL_SIZE);
+
+  const picked = [];
+  const coveredGenres = new Set();
+
+  while (picked.length < count && pool.length > 0) {
+    let bestPosition = 0;
+    let bestGain = -1;
+    pool.forEach((movieIndex, position) => {
+      const gain = movies[movieIndex].genres.filter((genre) => !coveredGenres.has(genre)).length;
+      if (gain > bestGain) {
+        bestPosition = position;
+        bestGain = gain;
+      }
+    });
+
+    const [movieIndex] = pool.splice(bestPosition, 1);
+    movies[movieIndex].genres.forEach((genre) => coveredGenres.add(genre));
+    picked.push(movieIndex);
+  }
+
+  return picked;
+}
+
+/**
+ * Read the visitor's saved ratings for a dataset as `{ movieId: rating }`.
+ * Storage can be unavailable (e.g. private browsing), which just means the
+ * visitor starts from scratch.
+ */
+export function loadVisitorRatings(datasetKey) {
+  try {
+    const stored = window.localStorage.getItem(VISITOR_RATINGS_STORAGE_PREFIX + datasetKey);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.warn('Unable to read saved visitor ratings', error);
+    return {};
+  }
+}
+
+export function saveVisitorRatings(datasetKey, visitorRatings) {
+  try {
+    const key = VISITOR_RATINGS_STORAGE_PREFIX + datasetKey;
+    if (Object.keys(visitorRatings).length === 0) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, JSON.stringify(visitorRatings));
+    }
+  } catch (error) {
+    console.warn('Unable to save visitor ratings', error);
+  }
+}
+
+/**
+ * Fit a user vector and bias for the visitor against the frozen
+ * `movie-embedding` and `movie-bias` weights of a `createModel` model, then
+ * score every movie with them. Explicit models regress the star ratings;
+ * implicit models learn to tell liked movies (rated at or above
+ * `LIKED_RATING_THRESHOLD`) from the rest. Returns one raw score per entry in
+ * `movies`, on the same scale as the model's own predictions.
+ */
+export function scoreVisitorForAllMovies(scoringModel, objective, visitorRatings) {
+  const rated = Object.entries(visitorRatings)
+    .map(([movieId, rating]) => ({ movieIndex: movieIndexById[movieId], rating }))
+    .filter((entry) => entry.movieIndex !== undefined);
+
+  const [movieEmbeddings] = scoringModel.getLayer('movie-embedding').getWeights();
+  const [movieBiases] = scoringModel.getLayer('movie-bias').getWeights();
+
+  // Variables survive tidy, so this only cleans up the initial zero tensors.
+  const [userVector, userBias] = tf.tidy(() => [
+    tf.variable(tf.zeros([movieEmbeddings.shape[1], 1])),
+    tf.variable(tf.zeros([1, 1]))
+  ]);
+  const optimizer = tf.train.adam(FOLD_IN_LEARNING_RATE);
+
+  try {
+    tf.tidy(() => {
+      const indices = tf.tensor1d(rated.map((entry) => entry.movieIndex), 'int32');
+      const vectors = tf.gather(movieEmbeddings, indices);
+      const biases = tf.gather(movieBiases, indices);
+      const targets = tf.tensor2d(
+        rated.map((entry) => {
+          if (isImplicitObjective(objective)) {
+            return entry.rating >= LIKED_RATING_THRESHOLD ? 1 : 0;
+          }
+          return entry.rating;
+        }),
+        [rated.length, 1]
+      );
+
+      for (let step = 0; step < FOLD_IN_STEPS; step += 1) {
+        optimizer.minimize(() => {
+          const scores = vectors.matMul(userVector).add(biases).add(userBias);
+          const loss = isImplicitObjective(objective)
+            ? tf.losses.sigmoidCrossEntropy(targets, scores)
+            : tf.losses.meanSquaredError(targets, scores);
+          return loss.add(userVector.square().sum().mul(FOLD_IN_L2));
+        });
+      }
+    });
+
+    return tf.tidy(() => movieEmbeddings
+      .slice([0, 0], [movies.length, -1])
+      .matMul(userVector)
+      .add(movieBiases.slice([0, 0], [movies.length, -1]))
+      .add(userBias)
+      .dataSync());
+  } finally {
+    tf.dispose([userVector, userBias]);
+    optimizer.dispose();
+  }
+}
+
+/**
+ * Render one row per onboarding movie with a 1–5 star picker. `onRate`
+ * receives the movie ID and the chosen rating, or null when cleared.
+ */
+export function renderOnboardingList(container, movieIndices, visitorRatings, onRate) {
+  container.innerHTML = '';
+
+  movieIndices.forEach((movieIndex) => {
+    const movie = movies[movieIndex];
+    const row = document.createElement('div');
+    row.className = 'onboarding-row';
+
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', `Your rating for ${movie.title}`);
+    ['', '1', '2', '3', '4', '5'].forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value ? `${value} / 5` : 'Not seen';
+      select.appendChild(option);
+    });
+    select.value = visitorRatings[movie.id] ? String(visitorRatings[movie.id]) : '';
+    select.addEventListener('change', () => {
+      onRate(movie.id, select.value ? parseInt(select.value, 10) : null);
+    });
+
+    const title = document.createElement('span');
+    title.textContent = movie.title;
+
+    row.append(title, select);
+    container.appendChild(row);
+  });
+}
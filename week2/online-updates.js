@@ -0,0 +1,104 @@
+// online-updates.js folds ratings that arrive after training into the current
+// model instead of training a new one from scratch. The model is first grown
+// to the current user and movie counts, keeping every trained row (see
+// `copyWeightsIntoLargerModel`), then the training worker runs a few epochs
+// over the new ratings plus a replay sample of older ones. The replay keeps
+// the existing embeddings anchored, so the update does not drag the whole
+// model towards a handful of newcomers.
+//
+// Like pipeline.js it has no DOM dependencies: script.js drives it from the
+// "Add Ratings" panel and node/recommender.mjs from its `update` method.
+
+import { numMovies, numUsers } from './data.js';
+import { copyWeightsIntoLargerModel, createModelOfType, serialiseWeights } from './model.js';
+import { buildTrainingPayload, getTrainingSubset } from './pipeline.js';
+
+// The fine-tuning sample is small, so several passes over it cost less than
+// one pass of a full training run.
+const ONLINE_UPDATE_EPOCHS = 10;
+// Old ratings replayed per new rating, with a floor so even a single new
+// rating is mixed with a broad sample of the data.
+const ONLINE_REPLAY_RATIO = 10;
+const ONLINE_REPLAY_MIN = 500;
+// Layers the grown model copies rows into. Both model types name their ID
+// embeddings this way.
+const ONLINE_UPDATE_LAYERS = ['user-embedding', 'movie-embedding'];
+
+/**
+ * Throw when `scoringModel` cannot be grown, e.g. a model imported from
+ * another app without our embedding layers. Callers check this before they
+ * change the data, so a model that cannot learn the new ratings leaves them
+ * queued.
+ */
+export function assertCanUpdateOnline(scoringModel) {
+  const names = new Set(scoringModel.layers.map((layer) => layer.name));
+  const missing = ONLINE_UPDATE_LAYERS.filter((name) => !names.has(name));
+  if (missing.length > 0) {
+    throw new Error(`The current model has no ${missing.join(' or ')} layer to grow. Retrain it instead.`);
+  }
+}
+
+/**
+ * Settings for fine-tuning `scoringModel`: the architecture and objective it
+ * was trained with (`modelInfo`), and the optimisation settings (learning
+ * rate, batch size, L2, negatives) from `settings`. Nothing is held out and
+ * there is no early stopping, since a few epochs over a small sample is the
+ * whole run.
+ */
+function buildOnlineUpdateSettings(scoringModel, settings, { objective, modelType }) {
+  return {
+    ...settings,
+    objective,
+    modelType,
+    latentDim: scoringModel.getLayer('user-embedding').getConfig().outputDim,
+    epochs: ONLINE_UPDATE_EPOCHS,
+    validationFraction: 0,
+    earlyStoppingPatience: 0,
+    // Recency weights are relative to each user's latest rating among the rows
+    // trained on, which a replay sample would misjudge.
+    timeDecayHalfLife: 0
+  };
+}
+
+/**
+ * Rows of `ratings` to fine-tune on: `newRows` followed by a random replay
+ * sample of the whole table.
+ */
+function selectOnlineUpdateRows(newRows) {
+  const replayRows = getTrainingSubset(null, Math.max(ONLINE_REPLAY_MIN, newRows.length * ONLINE_REPLAY_RATIO));
+  const rows = new Int32Array(newRows.length + replayRows.length);
+  rows.set(newRows);
+  rows.set(replayRows, newRows.length);
+  return rows;
+}
+
+/**
+ * Prepare an online update of `scoringModel` once `addRatings` (and maybe
+ * `addMovie`) changed the data; `newRows` is what `addRatings` returned and
+ * `modelInfo` is `{ objective, modelType, featureVocabulary }` as the model
+ * was trained. Returns `{ grownModel, payload }`: the model grown to the
+ * current counts, which can already score new users and movies from their
+ * initial embeddings, and the worker payload that fine-tunes it. Load the
+ * weights the worker sends back into `grownModel` with `restoreWeights`.
+ */
+export function prepareOnlineUpdate(scoringModel, newRows, settings, modelInfo) {
+  if (newRows.length === 0) {
+    throw new Error('There are no new ratings to learn from.');
+  }
+
+  const updateSettings = buildOnlineUpdateSettings(scoringModel, settings, modelInfo);
+  const { payload, features } = buildTrainingPayload(null, updateSettings, {
+    sampleRows: selectOnlineUpdateRows(newRows),
+    featureVocabulary: modelInfo.featureVocabulary
+  });
+
+  const grownModel = createModelOfType(modelInfo.modelType, numUsers, numMovies, updateSettings, features);
+  try {
+    copyWeightsIntoLargerModel(scoringModel, grownModel);
+    payload.initialWeights = serialiseWeights(grownModel);
+  } catch (error) {
+    grownModel.dispose();
+    throw error;
+  }
+  return { grownModel, payload };
+}
@@ -0,0 +1,177 @@
+// picker.js is a type-ahead combobox for choosing one movie or user out of
+// thousands, where a native <select> becomes an endless scroll. Typing
+// narrows the list to entries containing every typed word; the arrow keys,
+// Enter and Escape work as in any combobox. The chosen value is kept in a
+// hidden input that fires `change` like a <select>, so the rest of the page
+// reads `#movie-select` and `#user-select` exactly as before.
+
+// Rendering every match would bring back the long-list problem, so only the
+// first matches are shown until the query narrows them down.
+const PICKER_RESULT_LIMIT = 50;
+
+let pickerCount = 0;
+
+/**
+ * Wire up a picker from its text input, an empty list element and the hidden
+ * input holding the chosen value. Entries are `{ value, label, detail? }`;
+ * `detail` is shown next to the label and searched as well.
+ * Returns `{ setEntries, setFilter, setValue }`.
+ */
+export function createSearchPicker({ input, list, valueInput }) {
+  pickerCount += 1;
+  const optionIdPrefix = `picker-${pickerCount}-option-`;
+
+  let entries = [];
+  let filter = () => true;
+  let matches = [];
+  let activePosition = -1;
+
+  const selectedEntry = () => entries.find((entry) => entry.value === valueInput.value) ?? null;
+
+  const setActive = (position) => {
+    activePosition = position;
+    [...list.querySelectorAll('[role="option"]')].forEach((option, i) => {
+      option.setAttribute('aria-selected', String(i === position));
+      if (i === position) {
+        option.scrollIntoView?.({ block: 'nearest' });
+      }
+    });
+    if (position >= 0) {
+      input.setAttribute('aria-activedescendant', `${optionIdPrefix}${position}`);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  };
+
+  const close = () => {
+    list.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    setActive(-1);
+  };
+
+  const choose = (entry) => {
+    input.value = entry.label;
+    close();
+    if (valueInput.value !== entry.value) {
+      valueInput.value = entry.value;
+      valueInput.dispatchEvent(new Event('change'));
+    }
+  };
+
+  const render = () => {
+    const words = input.value.toLowerCase().split(/\s+/).filter(Boolean);
+    matches = entries.filter((entry) => filter(entry)
+      && words.every((word) => entry.searchText.includes(word)));
+
+    list.innerHTML = '';
+    matches.slice(0, PICKER_RESULT_LIMIT).forEach((entry, position) => {
+      const option = document.createElement('li');
+      option.id = `${optionIdPrefix}${position}`;
+      option.setAttribute('role', 'option');
+      option.textContent = entry.label;
+      if (entry.detail) {
+        const detail = document.createElement('span');
+        detail.className = 'picker-detail';
+        detail.textContent = entry.detail;
+        option.appendChild(detail);
+      }
+      // mousedown rather than click: it fires before the input's blur
+      // closes the list.
+      option.addEventListener('mousedown', (event) => {
+        event.preventDefault();
+        choose(entry);
+      });
+      list.appendChild(option);
+    });
+
+    const note = document.createElement('li');
+    note.className = 'picker-note';
+    note.setAttribute('role', 'presentation');
+    if (matches.length === 0) {
+      note.textContent = 'No matches.';
+    } else if (matches.length > PICKER_RESULT_LIMIT) {
+      note.textContent = `Showing ${PICKER_RESULT_LIMIT} of ${matches.length} matches. Keep typing to narrow them down.`;
+    }
+    if (note.textContent) {
+      list.appendChild(note);
+    }
+
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    setActive(matches.length > 0 ? 0 : -1);
+  };
+
+  input.addEventListener('input', render);
+  input.addEventListener('focus', () => {
+    input.select();
+    render();
+  });
+  input.addEventListener('blur', () => {
+    // Leaving the field keeps the last chosen entry.
+    close();
+    input.value = selectedEntry()?.label ?? '';
+  });
+  input.addEventListener('keydown', (event) => {
+    const shownCount = Math.min(matches.length, PICKER_RESULT_LIMIT);
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (list.hidden) {
+        render();
+        return;
+      }
+      if (shownCount > 0) {
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        setActive((activePosition + step + shownCount) % shownCount);
+      }
+    } else if (event.key === 'Enter') {
+      if (!list.hidden && activePosition >= 0) {
+        event.preventDefault();
+        choose(matches[activePosition]);
+      }
+    } else if (event.key === 'Escape') {
+      close();
+      input.value = selectedEntry()?.label ?? '';
+    }
+  });
+
+  return {
+    /**
+     * Replace the entries. The current choice is kept if it is still
+     * among them.
+     */
+    setEntries(nextEntries) {
+      entries = nextEntries.map((entry) => ({
+        ...entry,
+        searchText: `${entry.label} ${entry.detail ?? ''}`.toLowerCase()
+      }));
+      const selected = selectedEntry();
+      valueInput.value = selected ? selected.value : '';
+      input.value = selected ? selected.label : '';
+      if (!list.hidden) {
+        render();
+      }
+    },
+
+    /**
+     * Only offer entries for which `predicate(entry)` is true. Entries keep
+     * any extra fields passed to `setEntries`, for the predicate to use.
+     */
+    setFilter(predicate) {
+      filter = predicate;
+      if (!list.hidden) {
+        render();
+      }
+    },
+
+    /**
+     * Choose the entry with `value` (a string) without firing `change`,
+     * for callers that update the rest of the page themselves.
+     */
+    setValue(value) {
+      const entry = entries.find((candidate) => candidate.value === value);
+      valueInput.value = entry ? entry.value : '';
+      input.value = entry ? entry.label : '';
+    }
+  };
+}
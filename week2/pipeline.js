@@ -0,0 +1,174 @@
+// pipeline.js holds the steps between the parsed `ratings` table and a
+// trained model that do not touch the page: sampling the training rows,
+// packing them into the training worker's payload, loading the trained
+// weights and scoring movies. script.js drives them from the UI, and the
+// Node.js tools in node/ import this module with data.js and training.js to
+// run the same pipeline from the command line.
+
+import { movieIndexById, movies, numMovies, numUsers, ratings } from './data.js';
+import { createModelOfType, isImplicitObjective, restoreWeights } from './model.js';
+import { buildFeatureTables, buildFeatureVocabulary } from './features.js';
+
+/**
+ * Randomly select up to `limit` rows of the `ratings` table to keep the demo
+ * snappy even on CPUs without WebGL acceleration. `trainingRows` lists the
+ * candidate rows, or is null for the whole table. The sampling still covers a
+ * broad range of users and movies, which is sufficient for showcasing the
+ * technique.
+ */
+export function getTrainingSubset(trainingRows, limit) {
+  const count = trainingRows ? trainingRows.length : ratings.length;
+  const rowAt = (position) => (trainingRows ? trainingRows[position] : position);
+
+  if (count <= limit) {
+    return Int32Array.from({ length: count }, (_, position) => rowAt(position));
+  }
+
+  // Floyd's algorithm picks `limit` distinct positions without shuffling (or
+  // even materialising) every candidate row.
+  const picked = new Set();
+  for (let upper = count - limit; upper < count; upper += 1) {
+    const position = Math.floor(Math.random() * (upper + 1));
+    picked.add(picked.has(position) ? upper : position);
+  }
+
+  return Int32Array.from(picked, rowAt);
+}
+
+/**
+ * Copy one column of the `ratings` table for the given rows (or all rows when
+ * `rows` is null). The copies are transferred to the worker, which would
+ * otherwise detach the table's own buffers.
+ */
+function gatherColumn(column, rows) {
+  if (!rows) {
+    return column.slice(0, ratings.length);
+  }
+
+  const gathered = new column.constructor(rows.length);
+  rows.forEach((row, i) => {
+    gathered[i] = column[row];
+  });
+  return gathered;
+}
+
+/**
+ * Weight each sampled row by how recent it is within its user's history:
+ * a rating `halfLifeDays` older than the user's latest counts half as much.
+ * The latest timestamp is taken over `trainingRows` only (all rows when null),
+ * so held-out test ratings never shape the weights.
+ */
+function computeRecencyWeights(sampleRows, trainingRows, halfLifeDays) {
+  const latestByUser = new Uint32Array(numUsers);
+  const count = trainingRows ? trainingRows.length : ratings.length;
+  for (let position = 0; position < count; position += 1) {
+    const row = trainingRows ? trainingRows[position] : position;
+    const userIndex = ratings.userIndices[row];
+    latestByUser[userIndex] = Math.max(latestByUser[userIndex], ratings.timestamps[row]);
+  }
+
+  const halfLifeSeconds = halfLifeDays * 24 * 60 * 60;
+  const weights = new Float32Array(sampleRows.length);
+  sampleRows.forEach((row, i) => {
+    const age = latestByUser[ratings.userIndices[row]] - ratings.timestamps[row];
+    weights[i] = 0.5 ** (age / halfLifeSeconds);
+  });
+  return weights;
+}
+
+/**
+ * Build the training worker's `train` payload (see training.js) from
+ * `settings`. `trainingRows` lists the rows of `ratings` to learn from, or is
+ * null for the whole table. Returns the payload together with the feature
+ * vocabulary and tables of the feature-aware model (both null for plain MF),
+ * which are needed again to rebuild the trained model.
+ *
+ * Online updates (see online-updates.js) pass the exact `sampleRows` to train
+ * on instead of a random sample of `trainingRows`, and the
+ * `featureVocabulary` the model being updated was encoded with.
+ */
+export function buildTrainingPayload(trainingRows, settings, { sampleRows = null, featureVocabulary = null } = {}) {
+  if ((trainingRows ? trainingRows.length : ratings.length) === 0) {
+    throw new Error('Ratings data is empty.');
+  }
+
+  const { sampleSize, objective, timeDecayHalfLife } = settings;
+  const rows = sampleRows ?? getTrainingSubset(trainingRows, sampleSize);
+
+  // Typed arrays are transferred to the worker rather than copied, and map
+  // directly onto the int32/float32 tensors the model is fitted on.
+  const payload = {
+    userIndices: gatherColumn(ratings.userIndices, rows),
+    movieIndices: gatherColumn(ratings.movieIndices, rows),
+    values: gatherColumn(ratings.values, rows),
+    numUsers,
+    numMovies,
+    config: settings
+  };
+
+  if (timeDecayHalfLife > 0) {
+    payload.sampleWeights = computeRecencyWeights(rows, trainingRows, timeDecayHalfLife);
+  }
+
+  // Negative sampling must avoid every movie the user rated, not just the
+  // ones that made it into the training sample.
+  if (isImplicitObjective(objective)) {
+    payload.ratedUserIndices = gatherColumn(ratings.userIndices, trainingRows);
+    payload.ratedMovieIndices = gatherColumn(ratings.movieIndices, trainingRows);
+  }
+
+  // The feature tables are needed again to rebuild the model, so the worker
+  // gets copies.
+  const vocabulary = settings.modelType === 'features' ? featureVocabulary ?? buildFeatureVocabulary() : null;
+  const features = vocabulary ? buildFeatureTables(vocabulary) : null;
+  if (features) {
+    Object.assign(payload, features, {
+      userFeatures: features.userFeatures.slice(),
+      movieFeatures: features.movieFeatures.slice()
+    });
+  }
+
+  return { payload, featureVocabulary: vocabulary, features };
+}
+
+/**
+ * Rebuild the architecture the weights were trained with and load them, so
+ * predictions run without round-tripping through the worker.
+ */
+export function buildTrainedModel(settings, features, weights) {
+  const trainedModel = createModelOfType(settings.modelType, numUsers, numMovies, settings, features);
+  restoreWeights(trainedModel, weights);
+  return trainedModel;
+}
+
+/**
+ * Predict a raw (unclamped) score for every entry in `movies` for one user
+ * index. All movies are pushed through the network in one batch, which is far
+ * cheaper than calling predict per movie.
+ */
+export function scoreMoviesForUser(scoringModel, userIndex) {
+  return tf.tidy(() => {
+    const userTensor = tf.fill([movies.length, 1], userIndex, 'int32');
+    const movieTensor = tf.tensor2d(
+      movies.map((movie) => movieIndexById[movie.id]),
+      [movies.length, 1],
+      'int32'
+    );
+
+    return scoringModel.predict([userTensor, movieTensor]).dataSync();
+  });
+}
+
+/**
+ * Raw score for a single user index and movie index.
+ */
+export function predictModelScore(scoringModel, userIndex, movieIndex) {
+  // Wrap prediction tensors in tf.tidy so we free GPU/CPU memory immediately.
+  return tf.tidy(() => {
+    const userTensor = tf.tensor2d([[userIndex]], [1, 1], 'int32');
+    const movieTensor = tf.tensor2d([[movieIndex]], [1, 1], 'int32');
+
+    const predictionTensor = scoringModel.predict([userTensor, movieTensor]);
+    return predictionTensor.dataSync()[0];
+  });
+}
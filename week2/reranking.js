@@ -0,0 +1,152 @@
+// reranking.js reorders a scored candidate list so it is less "more of the
+// same". It works on any scores (MF, hybrid, baselines, kNN) because it only
+// looks at where each candidate ranks, its genres and how often it was rated:
+// maximal marginal relevance trades relevance for genre variety, a genre
+// quota caps how many picks may share a genre, and a popularity penalty
+// pushes blockbusters down in favour of less-known movies.
+//
+// The same file measures one list: intra-list diversity and novelty.
+// Catalogue coverage only means something across many users' lists, so it is
+// measured by the evaluation (see evaluation.js).
+
+import { movies, numUsers } from './data.js';
+import { formatMetric } from './evaluation.js';
+import { jaccardSimilarity } from './hybrid.js';
+
+// 0 for every setting means the list is left exactly as the scores rank it.
+export const DEFAULT_RERANKING_SETTINGS = { diversity: 0, maxPerGenre: 0, popularityPenalty: 0 };
+// Re-ranking picks from a wider pool than the final list, or there would be
+// nothing to swap in.
+const RERANKING_POOL_MULTIPLIER = 5;
+const RERANKING_MIN_POOL = 100;
+
+export function isRerankingActive(settings) {
+  return settings.diversity > 0 || settings.maxPerGenre > 0 || settings.popularityPenalty > 0;
+}
+
+export function getRerankingPoolSize(limit, settings) {
+  return isRerankingActive(settings) ? Math.max(limit * RERANKING_POOL_MULTIPLIER, RERANKING_MIN_POOL) : limit;
+}
+
+/**
+ * Popularity of each movie on [0, 1]: log rating count over the log of the
+ * largest count, so the long tail is not squashed against zero.
+ */
+function getPopularityScale(ratingCounts) {
+  const logMax = Math.log1p(Math.max(1, ...ratingCounts));
+  return (movieIndex) => Math.log1p(ratingCounts[movieIndex]) / logMax;
+}
+
+/**
+ * Pick `limit` movies from `candidates` (indices into `movies`, best first)
+ * with greedy maximal marginal relevance. Each step takes the candidate with
+ * the highest
+ *
+ *   (1 − diversity) · relevance − diversity · max genre similarity to the picks so far
+ *
+ * where relevance is the candidate's score rescaled onto [0, 1] within the
+ * pool, minus `popularityPenalty` times its popularity. Candidates that would
+ * put more than `maxPerGenre` picks in one genre are skipped while any other
+ * candidate remains. `ratingCounts` holds ratings per movie.
+ */
+export function rerankMovies(candidates, scores, limit, settings, ratingCounts) {
+  if (!isRerankingActive(settings) || candidates.length === 0) {
+    return candidates.slice(0, limit);
+  }
+
+  const { diversity, maxPerGenre, popularityPenalty } = settings;
+  const popularity = getPopularityScale(ratingCounts);
+
+  let minScore = Infinity;
+  let maxScore = -Infinity;
+  candidates.forEach((movieIndex) => {
+    minScore = Math.min(minScore, scores[movieIndex]);
+    maxScore = Math.max(maxScore, scores[movieIndex]);
+  });
+  const scoreRange = maxScore - minScore || 1;
+
+  const remaining = candidates.map((movieIndex) => ({
+    movieIndex,
+    relevance: (scores[movieIndex] - minScore) / scoreRange - popularityPenalty * popularity(movieIndex),
+    // Highest genre similarity to any pick so far, updated as picks are made.
+    redundancy: 0
+  }));
+  const picked = [];
+  const genreCounts = new Map();
+
+  const withinQuota = ({ movieIndex }) => maxPerGenre === 0
+    || movies[movieIndex].genres.every((genre) => (genreCounts.get(genre) ?? 0) < maxPerGenre);
+
+  while (picked.length < limit && remaining.length > 0) {
+    const allowed = remaining.some(withinQuota) ? withinQuota : () => true;
+
+    let bestPosition = -1;
+    let bestValue = -Infinity;
+    remaining.forEach((candidate, position) => {
+      if (!allowed(candidate)) return;
+      const value = (1 - diversity) * candidate.relevance - diversity * candidate.redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        bestPosition = position;
+      }
+    });
+
+    const [{ movieIndex }] = remaining.splice(bestPosition, 1);
+    picked.push(movieIndex);
+    movies[movieIndex].genres.forEach((genre) => genreCounts.set(genre, (genreCounts.get(genre) ?? 0) + 1));
+    remaining.forEach((candidate) => {
+      candidate.redundancy = Math.max(
+        candidate.redundancy,
+        jaccardSimilarity(movies[candidate.movieIndex].genres, movies[movieIndex].genres)
+      );
+    });
+  }
+
+  return picked;
+}
+
+/**
+ * Average genre dissimilarity (1 − Jaccard) over every pair in the list:
+ * 0 when all movies share the same genres, 1 when no two share any.
+ */
+export function getIntraListDiversity(movieIndices) {
+  let total = 0;
+  let pairs = 0;
+  for (let i = 0; i < movieIndices.length; i += 1) {
+    for (let j = i + 1; j < movieIndices.length; j += 1) {
+      total += 1 - jaccardSimilarity(movies[movieIndices[i]].genres, movies[movieIndices[j]].genres);
+      pairs += 1;
+    }
+  }
+  return pairs > 0 ? total / pairs : NaN;
+}
+
+/**
+ * Average self-information of the list in bits, −log2 of the share of users
+ * who rated each movie: higher means less obvious picks. Counts are smoothed
+ * by one so unrated movies stay finite.
+ */
+export function getListNovelty(movieIndices, ratingCounts, userCount) {
+  if (movieIndices.length === 0) {
+    return NaN;
+  }
+  const total = movieIndices.reduce(
+    (sum, movieIndex) => sum - Math.log2((ratingCounts[movieIndex] + 1) / (userCount + 1)),
+    0
+  );
+  return total / movieIndices.length;
+}
+
+/**
+ * One line summarising a final list for display under it.
+ */
+export function describeListDiversity(movieIndices, ratingCounts) {
+  const genres = new Set(movieIndices.flatMap((movieIndex) => movies[movieIndex].genres));
+  const allGenres = new Set(movies.flatMap((movie) => movie.genres));
+
+  return [
+    `Intra-list diversity ${formatMetric(getIntraListDiversity(movieIndices))}`,
+    `novelty ${formatMetric(getListNovelty(movieIndices, ratingCounts, numUsers))} bits`,
+    `${genres.size} of ${allGenres.size} genres`
+  ].join(' · ');
+}
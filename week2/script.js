@@ -1,221 +1,752 @@
+import { renderDataQualityReport, summariseDataQualityReport } from './validation.js';
+import {
+  DATASET_SOURCES,
+  addMovie,
+  addRatings,
+  dataQualityReport,
+  getMovieRatingCounts,
+  getUserRatingRows,
+  getUserRatingStats,
+  loadData,
+  movieIndexById,
+  movies,
+  numUsers,
+  ratings,
+  restoreDataset,
+  snapshotDataset,
+  userIds,
+  userIndexById
+} from './data.js';
+import { isImplicitObjective, modelScoreToUnit, restoreWeights } from './model.js';
+import { NEIGHBOURHOOD_MODELS, fitNeighbourhoodModel, isNeighbourhoodModelId } from './knn.js';
+import {
+  DEFAULT_TRAINING_SETTINGS,
+  FITTED_ONLY_SETTING_KEYS,
+  TRAINING_SETTING_FIELDS,
+  fillSettingsForm,
+  listChangedModelSettings,
+  readSettingsForm,
+  readSettingsFromQuery,
+  writeSettingsToQuery
+} from './settings.js';
+import {
+  buildTrainedModel,
+  buildTrainingPayload,
+  predictModelScore,
+  scoreMoviesForUser
+} from './pipeline.js';
+import { assertCanUpdateOnline, prepareOnlineUpdate } from './online-updates.js';
+import { cancelWorkerTraining, isTrainingCancelled, trainInWorker } from './trainer.js';
+import {
+  TRAINING_RUN_HISTORY_LIMIT,
+  createTrainingRun,
+  describeTrainingRun,
+  drawLossChart,
+  recordTrainingProgress,
+  renderTrainingRunLegend
+} from './training-chart.js';
+import {
+  DEFAULT_HOLDOUT_COUNT,
+  evaluateRecommender,
+  rankUnseenMovies,
+  renderMetricsTable,
+  splitRatings
+} from './evaluation.js';
+import { scoreProfileForAllMovies } from './features.js';
+import { BASELINES, fitBaseline, isBaselineId } from './baselines.js';
+import { scoreHybridForUser } from './hybrid.js';
+import {
+  ONBOARDING_MIN_RATINGS,
+  loadVisitorRatings,
+  pickOnboardingMovies,
+  renderOnboardingList,
+  saveVisitorRatings,
+  scoreVisitorForAllMovies
+} from './onboarding.js';
+import { buildMovieNeighbours, renderSimilarMovies } from './similarity.js';
+import {
+  describeTopInfluence,
+  explainPrediction,
+  findInfluentialRatings,
+  renderPredictionExplanation
+} from './explanations.js';
+import {
+  describeListDiversity,
+  getRerankingPoolSize,
+  isRerankingActive,
+  rerankMovies
+} from './reranking.js';
+import { createSearchPicker } from './picker.js';
+import { renderUserProfile, summariseUserRatings } from './user-profile.js';
+import {
+  buildEmbeddingMapEntries,
+  buildGenreColours,
+  drawEmbeddingMap,
+  findEmbeddingMapPoint,
+  projectEmbeddingLayer,
+  renderGenreLegend
+} from './embedding-map.js';
+import {
+  buildModelMetadata,
+  computeDatasetHash,
+  exportModel,
+  importModelFiles,
+  loadModelFromBrowser,
+  saveModelToBrowser
+} from './storage.js';
+
 // The TensorFlow.js model instance is stored globally so the UI handlers and
 // training routine can access the same object without passing it around.
 let model = null;
 let isModelReady = false;
+let isTraining = false;
+let isLoadingData = false;
+// Objective the current model was trained with. Implicit models output ranking
+// scores rather than star ratings, which changes how predictions are shown.
+let modelObjective = 'explicit';
+// Architecture of the current model (see MODEL_TYPES) and, for the
+// feature-aware model, the vocabulary its feature tables were encoded with.
+let modelType = 'mf';
+let modelFeatureVocabulary = null;
+// Settings the current model was trained with, or null for models saved
+// before they were recorded.
+let modelTrainingSettings = null;
+// Nearest neighbours of every movie in embedding space, rebuilt whenever the
+// model changes so "Movies like this" never has to touch the model on click.
+let movieNeighbours = [];
+// Hash of the loaded dataset, used to decide whether a saved model still applies.
+let datasetHash = '';
+// Baselines and neighbourhood models fitted on the whole loaded dataset,
+// fitted on first use and keyed by mode plus any settings they depend on.
+const fittedRecommenders = new Map();
+// The onboarding visitor's own ratings ({ movieId: rating }) and the movies
+// offered to them, both for the loaded dataset.
+let visitorRatings = {};
+let onboardingMovieIndices = [];
+// Visitor ratings are stored under the hash of the dataset as loaded, which
+// stays put when ratings are added at runtime.
+let visitorRatingsKey = '';
+// Ratings queued in the "Add Ratings" panel for the next online update, as
+// `{ userId, movieId, rating, title }`, where the title is only set for
+// movies that are not in the movie list yet.
+let pendingRatings = [];
+// Every evaluation run adds a row so models trained with different settings
+// can be compared side by side.
+const evaluationHistory = [];
+// The embedding map as last drawn, kept for hover and click hit-testing:
+// `{ kind, entries, coordinates, genreColours, positions }`.
+let embeddingMap = null;
+// Ratings per movie in the loaded dataset, for re-ranking and novelty.
+let movieRatingCounts = new Int32Array(0);
+// Type-ahead pickers behind `#user-select` and `#movie-select`.
+let userPicker = null;
+let moviePicker = null;
+// Loss curves of recent training runs for the dashboard, oldest first.
+const trainingRuns = [];
+let trainingRunCount = 0;
+// Batch progress arrives faster than the chart needs redrawing.
+const DASHBOARD_REDRAW_INTERVAL_MS = 200;
+let lastDashboardRedraw = 0;
+
+// Hyperparameters used for the next training run. They start from the query
+// string and are replaced from the settings form whenever training starts.
+let trainingSettings = { ...DEFAULT_TRAINING_SETTINGS };
+
+// Value of the dataset picker option that reads files chosen by the user.
+const LOCAL_DATASET_ID = 'local';
+
+// Short names for the training objectives, used in the metrics table.
+const OBJECTIVE_LABELS = {
+  explicit: 'explicit',
+  bce: 'implicit BCE',
+  bpr: 'implicit BPR'
+};
+
+// Short names for the model architectures, used in the metrics table.
+const MODEL_TYPE_LABELS = {
+  mf: 'MF',
+  features: 'Feature model'
+};
+
+// Buttons that need a usable model. They are disabled while training runs.
+const MODEL_ACTION_BUTTON_IDS = [
+  'predict-btn',
+  'recommend-btn',
+  'evaluate-btn',
+  'export-btn'
+];
 
 window.onload = async () => {
+  trainingSettings = readSettingsFromQuery(window.location.search);
+  fillSettingsForm(trainingSettings);
+  populateDatasetDropdown();
+  populateFittedModes();
+
+  userPicker = createSearchPicker({
+    input: document.getElementById('user-search'),
+    list: document.getElementById('user-options'),
+    valueInput: document.getElementById('user-select')
+  });
+  moviePicker = createSearchPicker({
+    input: document.getElementById('movie-search'),
+    list: document.getElementById('movie-options'),
+    valueInput: document.getElementById('movie-select')
+  });
+
+  document.getElementById('predict-btn').addEventListener('click', predictRating);
+  document.getElementById('recommend-btn').addEventListener('click', recommendForUser);
+  document.getElementById('profile-recommend-btn').addEventListener('click', recommendForProfile);
+  document.getElementById('onboarding-recommend-btn').addEventListener('click', recommendForVisitor);
+  document.getElementById('onboarding-reset-btn').addEventListener('click', resetVisitorRatings);
+  document.getElementById('queue-rating-btn').addEventListener('click', queueNewRating);
+  document.getElementById('apply-ratings-btn').addEventListener('click', applyPendingRatings);
+  document.getElementById('evaluate-btn').addEventListener('click', runEvaluation);
+  document.getElementById('retrain-btn').addEventListener('click', retrainModel);
+  document.getElementById('cancel-btn').addEventListener('click', cancelTraining);
+  document.getElementById('export-btn').addEventListener('click', exportCurrentModel);
+  document.getElementById('import-input').addEventListener('change', importModel);
+  document.getElementById('hybrid-weight-input').addEventListener('input', updateHybridWeightLabel);
+  document.getElementById('diversity-input').addEventListener('input', updateRerankingLabels);
+  document.getElementById('popularity-penalty-input').addEventListener('input', updateRerankingLabels);
+  document.getElementById('movie-select').addEventListener('change', showSimilarMovies);
+  document.getElementById('mode-select').addEventListener('change', refreshControls);
+  document.getElementById('dataset-select').addEventListener('change', updateDatasetFilePicker);
+  document.getElementById('load-dataset-btn').addEventListener('click', loadSelectedDataset);
+  ['movie-genre-filter', 'movie-year-from-input', 'movie-year-to-input'].forEach((id) => {
+    document.getElementById(id).addEventListener('input', applyMovieFilters);
+  });
+  document.getElementById('clear-runs-btn').addEventListener('click', clearTrainingRuns);
+  document.getElementById('embedding-panel').addEventListener('toggle', showEmbeddingMap);
+  document.getElementById('embedding-kind-select').addEventListener('change', showEmbeddingMap);
+  document.getElementById('embedding-canvas').addEventListener('mousemove', showEmbeddingTooltip);
+  document.getElementById('embedding-canvas').addEventListener('mouseleave', hideEmbeddingTooltip);
+  document.getElementById('embedding-canvas').addEventListener('click', selectEmbeddingMapPoint);
+  document.getElementById('movie-select').addEventListener('change', refreshEmbeddingMapSelection);
+  document.getElementById('user-select').addEventListener('change', refreshEmbeddingMapSelection);
+  document.getElementById('user-select').addEventListener('change', showUserProfile);
+  document.getElementById('user-profile-panel').addEventListener('toggle', showUserProfile);
+
+  await initialiseDataset(DATASET_SOURCES[0]);
+};
+
+/**
+ * Load a dataset and get a model ready for it: reuse the saved model when it
+ * was trained on exactly this data, otherwise train a new one.
+ */
+async function initialiseDataset(source) {
   const statusEl = document.getElementById('status');
   const resultEl = document.getElementById('result');
-  const predictBtn = document.getElementById('predict-btn');
+
+  // The current model's embedding tables are sized for the old dataset.
+  clearActiveModel();
+  evaluationHistory.length = 0;
+  fittedRecommenders.clear();
+  pendingRatings = [];
+  renderPendingRatings();
+  document.getElementById('metrics').innerHTML = '';
+  isLoadingData = true;
+  refreshControls();
+  // loadData puts the previous dataset back when it fails, so a failure
+  // before this is set leaves the old data (if any) in use.
+  let isDatasetLoaded = false;
 
   try {
-    statusEl.textContent = 'Loading MovieLens data...';
+    statusEl.textContent = `Loading ${source.label} data...`;
     statusEl.className = 'status-box info';
-    await loadData();
+    try {
+      await loadData(source, ({ loadedBytes, totalBytes }) => {
+        statusEl.textContent = totalBytes
+          ? `Loading ${source.label} ratings... ${Math.round((loadedBytes / totalBytes) * 100)}%`
+          : `Loading ${source.label} ratings... ${(loadedBytes / 1e6).toFixed(1)} MB`;
+      }, { strict: document.getElementById('strict-data-input').checked });
+    } finally {
+      // Shown even when strict mode rejects the data, to say why.
+      showDataQualityReport();
+    }
+    isDatasetLoaded = true;
 
-    populateUserDropdown();
-    populateMovieDropdown();
-    statusEl.textContent = 'Preparing training data...';
+    populateUserPicker();
+    populateMoviePicker();
+    movieRatingCounts = getMovieRatingCounts();
+    datasetHash = computeDatasetHash(movies, ratings);
+    setupOnboarding();
+    isLoadingData = false;
 
-    await trainModel();
+    statusEl.textContent = 'Looking for a saved model...';
+    const restored = await restoreSavedModel();
 
-    statusEl.textContent = 'Model training completed successfully!';
-    statusEl.className = 'status-box success';
-    resultEl.textContent = 'Select a user and a movie, then click "Predict Rating".';
-    predictBtn.disabled = false;
+    if (!restored) {
+      statusEl.textContent = 'Preparing training data...';
+      await trainModel();
+      await persistModel();
+    }
 
-    predictBtn.addEventListener('click', predictRating);
+    statusEl.textContent = restored
+      ? 'Restored the saved model from browser storage. Click "Retrain Model" to train a new one.'
+      : 'Model training completed successfully!';
+    statusEl.className = 'status-box success';
+    if (dataQualityReport.issues['users-file']) {
+      statusEl.textContent += ' User demographics could not be loaded (see "Data Quality"), so the feature-aware model treats every user as unknown.';
+      statusEl.className = 'status-box info';
+    }
+    resultEl.textContent = 'Select a user and a movie, then click "Predict Rating", or pick a user and click "Recommend for User".';
   } catch (error) {
+    if (isTrainingCancelled(error)) {
+      statusEl.textContent = 'Training cancelled. Click "Retrain Model" to start again.';
+      statusEl.className = 'status-box info';
+      resultEl.textContent = 'Model is not ready yet.';
+      return;
+    }
+
     console.error('Failed to initialise recommender', error);
     statusEl.textContent = `Initialisation failed: ${error.message}`;
+    if (!isDatasetLoaded && ratings.length > 0) {
+      statusEl.textContent += ' The previously loaded data is still in use; click "Retrain Model" to train on it.';
+    }
     statusEl.className = 'status-box error';
     resultEl.textContent = 'Unable to train the model due to the error above.';
+  } finally {
+    isLoadingData = false;
+    refreshControls();
   }
-};
+}
 
-function populateUserDropdown() {
-  const select = document.getElementById('user-select');
-  select.innerHTML = '<option value="" disabled selected>Select a user</option>';
+function populateDatasetDropdown() {
+  const select = document.getElementById('dataset-select');
+  select.innerHTML = '';
 
-  userIds.forEach((id) => {
+  DATASET_SOURCES.forEach((source) => {
     const option = document.createElement('option');
-    option.value = String(id);
-    option.textContent = `User ${id}`;
+    option.value = source.id;
+    option.textContent = source.label;
     select.appendChild(option);
   });
+
+  const localOption = document.createElement('option');
+  localOption.value = LOCAL_DATASET_ID;
+  localOption.textContent = 'Local files...';
+  select.appendChild(localOption);
 }
 
-function populateMovieDropdown() {
-  const select = document.getElementById('movie-select');
-  select.innerHTML = '<option value="" disabled selected>Select a movie</option>';
+/**
+ * Fill the "Data Quality" panel from `dataQualityReport`, and open it when
+ * something that loses data was found so the problem is not missed.
+ */
+function showDataQualityReport() {
+  const panel = document.getElementById('data-quality-panel');
+  const findings = summariseDataQualityReport(dataQualityReport);
+  const total = findings.reduce((sum, { count }) => sum + count, 0);
 
-  const sortedMovies = [...movies].sort((a, b) => a.title.localeCompare(b.title));
-  sortedMovies.forEach((movie) => {
-    const option = document.createElement('option');
-    option.value = String(movie.id);
-    option.textContent = movie.title;
-    select.appendChild(option);
+  renderDataQualityReport(document.getElementById('data-quality-report'), dataQualityReport);
+  panel.querySelector('summary').textContent = total > 0 ? `Data Quality (${total} findings)` : 'Data Quality';
+  if (findings.some(({ check }) => check.failsStrict)) {
+    panel.open = true;
+  }
+}
+
+function updateDatasetFilePicker() {
+  const isLocal = document.getElementById('dataset-select').value === LOCAL_DATASET_ID;
+  document.getElementById('dataset-files-group').hidden = !isLocal;
+}
+
+async function loadSelectedDataset() {
+  const statusEl = document.getElementById('status');
+  const selectedId = document.getElementById('dataset-select').value;
+
+  if (selectedId !== LOCAL_DATASET_ID) {
+    await initialiseDataset(DATASET_SOURCES.find((source) => source.id === selectedId));
+    return;
+  }
+
+  try {
+    const source = getLocalDatasetSource(document.getElementById('dataset-files').files);
+    await initialiseDataset(source);
+  } catch (error) {
+    statusEl.textContent = error.message;
+    statusEl.className = 'status-box error';
+  }
+}
+
+/**
+ * Sort the files picked for a local dataset. Ratings files are recognised by
+ * name (u.data, ratings.dat, ratings.csv, ...), as is an optional third file
+ * with user demographics (u.user, users.dat); the remaining file is taken as
+ * the movie list.
+ */
+function getLocalDatasetSource(fileList) {
+  const files = Array.from(fileList ?? []);
+  if (files.length !== 2 && files.length !== 3) {
+    throw new Error('Choose the movies file and the ratings file, plus optionally the users file.');
+  }
+
+  const ratingsFile = files.find((file) => /rating|u\.data/i.test(file.name));
+  const usersFile = files.find((file) => file !== ratingsFile && /users|u\.user/i.test(file.name));
+  const itemsFile = files.find((file) => file !== ratingsFile && file !== usersFile);
+
+  if (!ratingsFile || !itemsFile) {
+    throw new Error('Could not tell which file holds the ratings. Name it u.data, ratings.dat or ratings.csv.');
+  }
+
+  if (files.length === 3 && !usersFile) {
+    throw new Error('Could not tell which file holds the users. Name it u.user or users.dat.');
+  }
+
+  return {
+    label: `${itemsFile.name} + ${ratingsFile.name}`,
+    items: itemsFile,
+    ratings: ratingsFile,
+    users: usersFile
+  };
+}
+
+/**
+ * Enable or disable the controls to match the current model and training
+ * state: model actions need a ready model, and only Cancel is usable while a
+ * training run is in progress. Nothing but waiting is possible while a
+ * dataset loads.
+ */
+function refreshControls() {
+  const canUseModel = isModelReady && !isTraining;
+  MODEL_ACTION_BUTTON_IDS.forEach((id) => {
+    document.getElementById(id).disabled = !canUseModel;
   });
+
+  // Baselines and neighbourhood models are fitted from the ratings alone, so
+  // they can predict and recommend without a trained model, even mid-training.
+  if (isFittedMode(document.getElementById('mode-select').value) && !isLoadingData && ratings.length > 0) {
+    document.getElementById('predict-btn').disabled = false;
+    document.getElementById('recommend-btn').disabled = false;
+  }
+
+  // Only the feature-aware model can score someone from demographics alone.
+  document.getElementById('profile-recommend-btn').disabled = !canUseModel || modelType !== 'features';
+  // Folding in a visitor needs the plain MF model's movie embeddings and biases.
+  document.getElementById('onboarding-recommend-btn').disabled = !canUseModel
+    || modelType !== 'mf'
+    || Object.keys(visitorRatings).length < ONBOARDING_MIN_RATINGS;
+  document.getElementById('apply-ratings-btn').disabled = !canUseModel || pendingRatings.length === 0;
+  // A failed first load leaves no data to train on.
+  document.getElementById('retrain-btn').disabled = isTraining || isLoadingData || ratings.length === 0;
+  document.getElementById('import-input').disabled = isTraining || isLoadingData;
+  document.getElementById('load-dataset-btn').disabled = isTraining || isLoadingData;
+  document.getElementById('cancel-btn').disabled = !isTraining;
 }
 
 /**
- * Randomly select up to `limit` rating entries to keep the demo snappy even on
- * CPUs without WebGL acceleration. The sampling still covers a broad range of
- * users and movies, which is sufficient for showcasing the technique.
- */
-function getTrainingSubset(allRatings, limit) {
-  if (allRatings.length <= limit) {
-    return allRatings;
-  }
-
-  const shuffled = [...allRatings];
-  for (let i = shuffled.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-  }
-
-  return shuffled.slice(0, limit);
-}
-
-/**
- * Build the matrix factorisation model.
- * We represent each user and movie as a learnable latent vector (embedding)
- * and take their dot product to estimate the rating. Separate bias embeddings
- * help the model learn systematic tendencies (e.g. harsh users or popular films).
- */
-function createModel(numUsersValue, numMoviesValue, latentDim = 20) {
-  const userInput = tf.input({ shape: [1], dtype: 'int32', name: 'user-input' });
-  const movieInput = tf.input({ shape: [1], dtype: 'int32', name: 'movie-input' });
-
-  const userEmbedding = tf.layers.embedding({
-    // inputDim is (count + 1) to give TensorFlow.js a safe upper bound even if
-    // an index equal to numUsersValue appears. The +1 mirrors how Keras handles
-    // embedding lookup tables.
-    inputDim: numUsersValue + 1,
-    outputDim: latentDim,
-    embeddingsInitializer: 'heNormal',
-    name: 'user-embedding'
-  }).apply(userInput);
-
-  const movieEmbedding = tf.layers.embedding({
-    inputDim: numMoviesValue + 1,
-    outputDim: latentDim,
-    embeddingsInitializer: 'heNormal',
-    name: 'movie-embedding'
-  }).apply(movieInput);
-
-  // Each embedding has shape [batch, 1, latentDim]. Flattening removes the
-  // singleton dimension so we are left with a simple latent vector per entity.
-  const userVector = tf.layers.flatten().apply(userEmbedding);
-  const movieVector = tf.layers.flatten().apply(movieEmbedding);
-
-  // Taking the dot product of the two latent vectors is the core of matrix
-  // factorisation—it estimates how strongly the selected user interacts with
-  // the selected movie based on learned preferences.
-  const interaction = tf.layers.dot({ axes: 1, name: 'dot-interaction' }).apply([
-    userVector,
-    movieVector
-  ]);
-
-  // Bias embeddings let the network capture global tendencies, such as users
-  // who rate generously or movies that are universally loved.
-  const userBias = tf.layers.embedding({
-    inputDim: numUsersValue + 1,
-    outputDim: 1,
-    embeddingsInitializer: 'zeros',
-    name: 'user-bias'
-  }).apply(userInput);
-
-  const movieBias = tf.layers.embedding({
-    inputDim: numMoviesValue + 1,
-    outputDim: 1,
-    embeddingsInitializer: 'zeros',
-    name: 'movie-bias'
-  }).apply(movieInput);
-
-  const userBiasFlat = tf.layers.flatten().apply(userBias);
-  const movieBiasFlat = tf.layers.flatten().apply(movieBias);
-
-  // The final predicted rating is the dot product plus both bias terms.
-  const withUserBias = tf.layers.add().apply([interaction, userBiasFlat]);
-  const output = tf.layers.add({ name: 'predicted-rating' }).apply([
-    withUserBias,
-    movieBiasFlat
-  ]);
-
-  return tf.model({
-    inputs: [userInput, movieInput],
-    outputs: output
+ * Swap in a model that was loaded from storage or a file, restoring the
+ * ID-to-index mappings it was trained with.
+ */
+function applyLoadedModel({ model: loadedModel, metadata }) {
+  // The saved ID-to-index mappings need not be restored: the dataset hash
+  // matched, and it covers every ID, so they are the ones just loaded.
+  // Older saved models predate implicit training and the feature-aware model.
+  setActiveModel(loadedModel, {
+    objective: metadata.objective ?? 'explicit',
+    modelType: metadata.modelType ?? 'mf',
+    featureVocabulary: metadata.featureVocabulary ?? null,
+    settings: metadata.trainingSettings ?? null
   });
 }
 
-async function trainModel() {
+function clearActiveModel() {
+  if (model) {
+    model.dispose();
+  }
+
+  model = null;
+  movieNeighbours = [];
+  embeddingMap = null;
+  isModelReady = false;
+  document.getElementById('similar-movies').innerHTML = '';
+}
+
+/**
+ * Make `nextModel` the model used for predictions, disposing the previous one
+ * and refreshing everything derived from its weights. The second argument
+ * describes how it was trained and is what gets saved with it.
+ */
+function setActiveModel(nextModel, { objective, modelType: type = 'mf', featureVocabulary = null, settings = null }) {
+  if (model && model !== nextModel) {
+    model.dispose();
+  }
+
+  model = nextModel;
+  modelObjective = objective;
+  modelType = type;
+  modelFeatureVocabulary = featureVocabulary;
+  modelTrainingSettings = settings;
+  movieNeighbours = buildMovieNeighbours(model, movies.length);
+  isModelReady = true;
+  populateProfileForm();
+  showSimilarMovies();
+  showEmbeddingMap();
+  showUserProfile();
+}
+
+function getActiveModelInfo() {
+  return {
+    objective: modelObjective,
+    modelType,
+    featureVocabulary: modelFeatureVocabulary,
+    settings: modelTrainingSettings
+  };
+}
+
+/**
+ * Try to reuse the model saved in IndexedDB. Storage can be unavailable (e.g.
+ * private browsing), in which case we quietly fall back to training. A model
+ * trained with settings other than the URL's is not reused either, so a
+ * shared link reproduces its experiment rather than showing a stale model.
+ */
+async function restoreSavedModel() {
+  try {
+    const saved = await loadModelFromBrowser(datasetHash);
+    if (!saved) {
+      return false;
+    }
+
+    // Models saved before settings were recorded are reused as they are.
+    const savedSettings = saved.metadata.trainingSettings;
+    const changed = savedSettings ? listChangedModelSettings(savedSettings, trainingSettings) : [];
+    if (changed.length > 0) {
+      console.info(`Not restoring the saved model: it was trained with different settings (${changed.join(', ')}).`);
+      saved.model.dispose();
+      return false;
+    }
+
+    applyLoadedModel(saved);
+    return true;
+  } catch (error) {
+    console.warn('Unable to restore the saved model', error);
+    return false;
+  }
+}
+
+async function persistModel() {
+  try {
+    await saveModelToBrowser(model, buildModelMetadata(datasetHash, getActiveModelInfo()));
+  } catch (error) {
+    console.warn('Unable to save the model to browser storage', error);
+  }
+}
+
+async function retrainModel() {
   const statusEl = document.getElementById('status');
-  const predictBtn = document.getElementById('predict-btn');
-  predictBtn.disabled = true;
 
-  if (ratings.length === 0) {
-    throw new Error('Ratings data is empty.');
+  try {
+    applySettingsForm();
+
+    statusEl.textContent = 'Preparing training data...';
+    statusEl.className = 'status-box info';
+    await trainModel();
+    await persistModel();
+
+    statusEl.textContent = 'Model retrained and saved to browser storage.';
+    statusEl.className = 'status-box success';
+  } catch (error) {
+    if (isTrainingCancelled(error)) {
+      statusEl.textContent = model
+        ? 'Training cancelled. The previous model is still in use.'
+        : 'Training cancelled. Click "Retrain Model" to start again.';
+      statusEl.className = 'status-box info';
+      return;
+    }
+
+    console.error('Retraining failed', error);
+    statusEl.textContent = `Retraining failed: ${error.message}`;
+    statusEl.className = 'status-box error';
+  } finally {
+    refreshControls();
   }
+}
+
+/**
+ * Validate the settings form, make its values the active training settings
+ * and record them in the URL so the run can be shared and reproduced.
+ */
+function applySettingsForm() {
+  trainingSettings = readSettingsForm();
+  writeSettingsToQuery(trainingSettings);
+}
+
+function cancelTraining() {
+  cancelWorkerTraining();
+}
 
-  // Build a fresh model each time trainModel is invoked so we never mix
-  // weights from previous training sessions.
-  model = createModel(numUsers, numMovies);
-  model.compile({
-    optimizer: tf.train.adam(0.001),
-    loss: 'meanSquaredError'
+async function exportCurrentModel() {
+  if (!model || !isModelReady) {
+    return;
+  }
+
+  const statusEl = document.getElementById('status');
+
+  try {
+    await exportModel(model, buildModelMetadata(datasetHash, getActiveModelInfo()));
+    statusEl.textContent = 'Model exported. Share the downloaded .json and .bin files to reuse it.';
+    statusEl.className = 'status-box success';
+  } catch (error) {
+    console.error('Export failed', error);
+    statusEl.textContent = `Export failed: ${error.message}`;
+    statusEl.className = 'status-box error';
+  }
+}
+
+async function importModel(event) {
+  const statusEl = document.getElementById('status');
+  const { files } = event.target;
+
+  if (!files || files.length === 0) {
+    return;
+  }
+
+  try {
+    const imported = await importModelFiles(files, datasetHash);
+    applyLoadedModel(imported);
+    await persistModel();
+
+    statusEl.textContent = 'Imported model is ready and saved to browser storage.';
+    statusEl.className = 'status-box success';
+  } catch (error) {
+    console.error('Import failed', error);
+    statusEl.textContent = `Import failed: ${error.message}`;
+    statusEl.className = 'status-box error';
+  } finally {
+    // Reset the picker so choosing the same files again still fires `change`.
+    event.target.value = '';
+  }
+}
+
+/**
+ * Offer every user, with their rating count and average so it is easy to
+ * pick a heavy rater or a harsh critic.
+ */
+function populateUserPicker() {
+  const { counts, means } = getUserRatingStats();
+
+  userPicker.setEntries(userIds.map((id, index) => ({
+    value: String(id),
+    label: `User ${id}`,
+    detail: counts[index] > 0
+      ? `${counts[index]} ratings, average ${means[index].toFixed(2)}`
+      : 'no ratings'
+  })));
+  document.getElementById('user-search').placeholder = `Search ${userIds.length} users by ID`;
+}
+
+/**
+ * Offer every movie, sorted by title, and list the dataset's genres in the
+ * genre filter.
+ */
+function populateMoviePicker() {
+  const sortedMovies = [...movies].sort((a, b) => a.title.localeCompare(b.title));
+  moviePicker.setEntries(sortedMovies.map((movie) => ({
+    value: String(movie.id),
+    label: movie.title,
+    detail: movie.genres.join(', '),
+    genres: movie.genres,
+    year: movie.year
+  })));
+  document.getElementById('movie-search').placeholder = `Search ${movies.length} movies by title or genre`;
+
+  const genreFilter = document.getElementById('movie-genre-filter');
+  const previous = genreFilter.value;
+  const genres = [...new Set(movies.flatMap((movie) => movie.genres))].sort();
+  genreFilter.innerHTML = '<option value="">All genres</option>';
+  genres.forEach((genre) => {
+    const option = document.createElement('option');
+    option.value = genre;
+    option.textContent = genre;
+    genreFilter.appendChild(option);
   });
+  genreFilter.value = genres.includes(previous) ? previous : '';
+  applyMovieFilters();
+}
 
-  const trainingSampleSize = 4000;
-  const trainingData = getTrainingSubset(ratings, trainingSampleSize);
+/**
+ * Limit the movie picker to the chosen genre and release years. Movies
+ * without a known year are hidden once either year bound is set.
+ */
+function applyMovieFilters() {
+  const genre = document.getElementById('movie-genre-filter').value;
+  const fromYear = parseInt(document.getElementById('movie-year-from-input').value, 10);
+  const toYear = parseInt(document.getElementById('movie-year-to-input').value, 10);
 
-  // Convert the sparse MovieLens identifiers into dense tensors once to
-  // keep the training loop efficient and avoid extra allocations per epoch.
-  const userTensor = tf.tensor2d(
-    trainingData.map((entry) => entry.userIndex),
-    [trainingData.length, 1],
-    'int32'
-  );
-  const movieTensor = tf.tensor2d(
-    trainingData.map((entry) => entry.movieIndex),
-    [trainingData.length, 1],
-    'int32'
-  );
-  const ratingTensor = tf.tensor2d(
-    trainingData.map((entry) => entry.rating),
-    [trainingData.length, 1],
-    'float32'
-  );
+  const hasYearBound = !Number.isNaN(fromYear) || !Number.isNaN(toYear);
 
-  const epochs = 2;
-  const batchSize = 128;
-
-  // Train the embeddings jointly. A small epoch count keeps the demo quick
-  // while still converging to reasonable rating estimates.
-  await model.fit([userTensor, movieTensor], ratingTensor, {
-    epochs,
-    batchSize,
-    shuffle: true,
-    callbacks: {
-      onEpochEnd: async (epoch, logs) => {
-        // Using tf.nextFrame() keeps the UI responsive while training in the browser.
-        await tf.nextFrame();
-        statusEl.textContent = `Training model... Epoch ${epoch + 1}/${epochs} — loss: ${logs.loss.toFixed(4)}`;
-        statusEl.className = 'status-box info';
-      }
+  moviePicker.setFilter((entry) => {
+    if (genre && !entry.genres.includes(genre)) {
+      return false;
+    }
+    if (!hasYearBound) {
+      return true;
     }
+    return Number.isFinite(entry.year)
+      && (Number.isNaN(fromYear) || entry.year >= fromYear)
+      && (Number.isNaN(toYear) || entry.year <= toYear);
   });
+}
 
-  // These tensors are no longer needed once the model has been fitted, so we
-  // dispose them manually to avoid unnecessary memory growth in long sessions.
-  userTensor.dispose();
-  movieTensor.dispose();
-  ratingTensor.dispose();
-  isModelReady = true;
+/**
+ * Train a fresh model in the training worker. `trainingRows` lists the rows
+ * of `ratings` to learn from and defaults to the full dataset; the evaluation
+ * flow passes only the training split so the test ratings stay unseen. The
+ * current model stays usable until the new weights arrive, so a cancelled run
+ * leaves it untouched.
+ */
+async function trainModel(trainingRows = null) {
+  const statusEl = document.getElementById('status');
+  const { payload, featureVocabulary, features } = buildTrainingPayload(trainingRows, trainingSettings);
+
+  const { modelType: type, objective, latentDim, learningRate } = trainingSettings;
+  const run = createTrainingRun(
+    `Run ${trainingRunCount + 1}: ${MODEL_TYPE_LABELS[type]}, ${OBJECTIVE_LABELS[objective]}, ${latentDim} factors, learning rate ${learningRate}`,
+    learningRate,
+    trainingRunCount
+  );
+  trainingRunCount += 1;
+  trainingRuns.push(run);
+  if (trainingRuns.length > TRAINING_RUN_HISTORY_LIMIT) {
+    trainingRuns.shift();
+  }
+  renderTrainingDashboard();
+
+  isTraining = true;
+  refreshControls();
+
+  try {
+    const weights = await trainInWorker(payload, (progress) => {
+      recordTrainingProgress(run, progress);
+      if (progress.stage !== 'batch' || Date.now() - lastDashboardRedraw >= DASHBOARD_REDRAW_INTERVAL_MS) {
+        renderTrainingDashboard();
+      }
+
+      const epochLabel = `Epoch ${progress.epoch + 1}/${progress.epochs}`;
+      if (progress.stage === 'batch') {
+        statusEl.textContent = `Training model... ${epochLabel}, batch ${progress.batch + 1}/${progress.batchesPerEpoch} — loss: ${progress.loss.toFixed(4)}`;
+      } else if (progress.stage === 'epoch') {
+        const validation = progress.validationLoss === null ? '' : `, validation loss: ${progress.validationLoss.toFixed(4)}`;
+        statusEl.textContent = `Training model... ${epochLabel} — loss: ${progress.loss.toFixed(4)}${validation}`;
+      } else {
+        statusEl.textContent = `Stopping early after epoch ${progress.epoch + 1}: no improvement since epoch ${progress.bestEpoch + 1}.`;
+      }
+      statusEl.className = 'status-box info';
+    });
+
+    setActiveModel(buildTrainedModel(trainingSettings, features, weights), {
+      objective,
+      modelType: type,
+      featureVocabulary,
+      settings: trainingSettings
+    });
+  } finally {
+    isTraining = false;
+    refreshControls();
+  }
 }
 
 async function predictRating() {
-  if (!model || !isModelReady) {
+  const mode = document.getElementById('mode-select').value;
+  if (!isFittedMode(mode) && (!model || !isModelReady)) {
     return;
   }
 
@@ -240,21 +771,858 @@ async function predictRating() {
     return;
   }
 
-  // Wrap prediction tensors in tf.tidy so we free GPU/CPU memory immediately.
-  const rawRating = tf.tidy(() => {
-    const userTensor = tf.tensor2d([[userIndex]], [1, 1], 'int32');
-    const movieTensor = tf.tensor2d([[movieIndex]], [1, 1], 'int32');
+  const movieTitle = movies.find((movie) => movie.id === movieId)?.title ?? 'the selected movie';
 
-    const predictionTensor = model.predict([userTensor, movieTensor]);
-    return predictionTensor.dataSync()[0];
-  });
+  if (isFittedMode(mode)) {
+    try {
+      const recommender = getFittedRecommender(mode);
+      const score = recommender.scoreUser(userId)[movieIndex];
+      renderPredictionSummary(resultEl, recommender.label, userId, movieTitle, formatFittedScore(recommender, score));
+    } catch (error) {
+      statusEl.textContent = error.message;
+      statusEl.className = 'status-box error';
+    }
+    return;
+  }
 
-  // Clamp to the 1–5 star range so outliers produced early in training do not
-  // confuse the user-facing UI.
-  const clampedRating = Math.min(5, Math.max(1, rawRating));
+  const rawRating = predictModelScore(model, userIndex, movieIndex);
 
-  const movieTitle = movies.find((movie) => movie.id === movieId)?.title ?? 'the selected movie';
-  resultEl.innerHTML = `Predicted rating for <strong>User ${userId}</strong> on <strong>"${movieTitle}"</strong>: ${clampedRating.toFixed(2)} / 5`;
-  statusEl.textContent = 'Model training completed successfully!';
+  const label = isImplicitObjective(modelObjective) ? 'Predicted interest' : 'Predicted rating';
+  renderPredictionSummary(resultEl, label, userId, movieTitle, formatModelScore(rawRating));
+  renderPredictionExplanation(
+    resultEl,
+    explainPrediction(model, userIndex, movieIndex),
+    findInfluentialRatings(model, userIndex, movieIndex),
+    modelObjective
+  );
+  statusEl.textContent = 'Model is ready for predictions.';
   statusEl.className = 'status-box success';
 }
+
+/**
+ * Replace the result box with one "<label> for User <id> on "<title>": <score>"
+ * line. Built from text nodes, because movie titles come from whichever
+ * dataset the visitor loaded.
+ */
+function renderPredictionSummary(container, label, userId, movieTitle, scoreText) {
+  const user = document.createElement('strong');
+  user.textContent = `User ${userId}`;
+  const movie = document.createElement('strong');
+  movie.textContent = `"${movieTitle}"`;
+  container.innerHTML = '';
+  container.append(`${label} for `, user, ' on ', movie, `: ${scoreText}`);
+}
+
+/**
+ * Format a raw model output for display. Explicit models are clamped to the
+ * 1–5 star range so outliers produced early in training do not confuse the
+ * UI; implicit models show their sigmoid score as a match percentage.
+ */
+function formatModelScore(rawScore) {
+  if (isImplicitObjective(modelObjective)) {
+    return `${Math.round(modelScoreToUnit(rawScore, modelObjective) * 100)}% match`;
+  }
+
+  return formatStarRating(rawScore);
+}
+
+function formatStarRating(rawScore) {
+  return `${Math.min(5, Math.max(1, rawScore)).toFixed(2)} / 5`;
+}
+
+/**
+ * Score every entry in `movies` for one user ID with the active model (see
+ * `scoreMoviesForUser`). Returns null for unknown users.
+ */
+function scoreAllMovies(userId) {
+  const userIndex = userIndexById[userId];
+  if (userIndex === undefined) {
+    return null;
+  }
+
+  return scoreMoviesForUser(model, userIndex);
+}
+
+/**
+ * Return the best `limit` movies the user has not rated yet, re-ranked with
+ * the "Re-ranking" settings. `scores` holds one raw score per entry in
+ * `movies`; each result keeps the movie's position in `movies` so callers can
+ * look up related per-movie values. `excludedIndices` overrides the movies
+ * to leave out, for visitors who are not in the ratings table.
+ */
+function getTopRecommendations(userId, limit, scores, excludedIndices = null) {
+  if (!scores || movies.length === 0) {
+    return [];
+  }
+
+  const excluded = excludedIndices ?? new Set(
+    getUserRatingRows(userIndexById[userId]).map((row) => ratings.movieIndices[row])
+  );
+
+  // Rank on the raw scores and only clamp for display, otherwise an
+  // undertrained model collapses many movies onto the same 1 or 5 star value.
+  const settings = readRerankingSettings();
+  const candidates = rankUnseenMovies(scores, excluded, getRerankingPoolSize(limit, settings));
+  return rerankMovies(candidates, scores, limit, settings, movieRatingCounts)
+    .map((index) => ({ movie: movies[index], index, score: scores[index] }));
+}
+
+/**
+ * Read the re-ranking controls. Out-of-range values fall back to "off".
+ */
+function readRerankingSettings() {
+  const readFraction = (id) => {
+    const value = parseFloat(document.getElementById(id).value);
+    return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+  };
+  const maxPerGenre = parseInt(document.getElementById('genre-quota-input').value, 10);
+
+  return {
+    diversity: readFraction('diversity-input'),
+    popularityPenalty: readFraction('popularity-penalty-input'),
+    maxPerGenre: Number.isNaN(maxPerGenre) || maxPerGenre < 0 ? 0 : maxPerGenre
+  };
+}
+
+function updateRerankingLabels() {
+  const { diversity, popularityPenalty } = readRerankingSettings();
+  document.getElementById('diversity-value').textContent = diversity.toFixed(2);
+  document.getElementById('popularity-penalty-value').textContent = popularityPenalty.toFixed(2);
+}
+
+async function recommendForUser() {
+  const mode = document.getElementById('mode-select').value;
+  if (!isFittedMode(mode) && (!model || !isModelReady)) {
+    return;
+  }
+
+  const resultEl = document.getElementById('result');
+  const userSelect = document.getElementById('user-select');
+
+  const userId = parseInt(userSelect.value, 10);
+  if (Number.isNaN(userId)) {
+    resultEl.textContent = 'Please choose a user before requesting recommendations.';
+    return;
+  }
+
+  const limit = readRecommendationLimit();
+  let recommendations;
+  let formatScore;
+  let heading = `Top ${limit} recommendations for User ${userId}`;
+
+  if (mode === 'hybrid') {
+    const mfWeight = parseFloat(document.getElementById('hybrid-weight-input').value);
+    const hybrid = scoreHybridForUser(userId, mfWeight, scoreAllMovies(userId), modelObjective);
+
+    // Show both ingredients so it is clear why the hybrid list differs from
+    // the pure MF and genre-only demos.
+    recommendations = getTopRecommendations(userId, limit, hybrid.scores).map((entry) => ({
+      ...entry,
+      detail: hybrid.mfScores
+        ? `MF ${formatModelScore(hybrid.mfScores[entry.index])}, genre match ${hybrid.contentScores[entry.index].toFixed(2)}`
+        : `genre match ${hybrid.contentScores[entry.index].toFixed(2)}`
+    }));
+    heading += hybrid.coldStart
+      ? ' (few ratings, so using genre similarity only)'
+      : ` (hybrid, ${Math.round(hybrid.weight * 100)}% MF)`;
+    formatScore = formatStarRating;
+  } else if (isFittedMode(mode)) {
+    let recommender;
+    try {
+      recommender = getFittedRecommender(mode);
+    } catch (error) {
+      resultEl.textContent = error.message;
+      return;
+    }
+    recommendations = getTopRecommendations(userId, limit, recommender.scoreUser(userId));
+    heading += ` (${recommender.label})`;
+    formatScore = (score) => formatFittedScore(recommender, score);
+  } else {
+    const userIndex = userIndexById[userId];
+    recommendations = getTopRecommendations(userId, limit, scoreAllMovies(userId)).map((entry) => ({
+      ...entry,
+      detail: describeTopInfluence(findInfluentialRatings(model, userIndex, entry.index, 1))
+    }));
+    formatScore = formatModelScore;
+  }
+
+  if (recommendations.length === 0) {
+    resultEl.textContent = `No unrated movies left to recommend for User ${userId}.`;
+    return;
+  }
+
+  renderRecommendationList(resultEl, `${heading}:`, recommendations, formatScore);
+}
+
+/**
+ * Offer the baselines and neighbourhood models in the recommendation mode
+ * dropdown, after the modes that use the trained model.
+ */
+function populateFittedModes() {
+  [
+    ['Neighbourhood CF', NEIGHBOURHOOD_MODELS],
+    ['Baselines', BASELINES]
+  ].forEach(([label, definitions]) => {
+    const group = document.createElement('optgroup');
+    group.label = label;
+
+    definitions.forEach((definition) => {
+      const option = document.createElement('option');
+      option.value = definition.id;
+      option.textContent = definition.label;
+      group.appendChild(option);
+    });
+
+    document.getElementById('mode-select').appendChild(group);
+  });
+}
+
+/**
+ * Modes served by a recommender fitted straight from the ratings rather than
+ * the trained TensorFlow.js model.
+ */
+function isFittedMode(mode) {
+  return isBaselineId(mode) || isNeighbourhoodModelId(mode);
+}
+
+/**
+ * Return the fitted recommender for `mode`. Neighbourhood models pick up the
+ * neighbourhood fields of the settings form as they are now; this throws if
+ * one of them is invalid. The other settings, and the URL, are left alone
+ * until the next training run.
+ */
+function getFittedRecommender(mode) {
+  if (isBaselineId(mode)) {
+    if (!fittedRecommenders.has(mode)) {
+      fittedRecommenders.set(mode, fitBaseline(mode));
+    }
+    return fittedRecommenders.get(mode);
+  }
+
+  const config = getNeighbourhoodConfig();
+  const key = `${mode}/${config.similarity}/${config.k}/${config.shrinkage}`;
+  if (!fittedRecommenders.has(key)) {
+    fittedRecommenders.set(key, fitNeighbourhoodModel(mode, config));
+  }
+  return fittedRecommenders.get(key);
+}
+
+function getNeighbourhoodConfig() {
+  const settings = readSettingsForm(
+    TRAINING_SETTING_FIELDS.filter((field) => FITTED_ONLY_SETTING_KEYS.includes(field.key))
+  );
+  return {
+    similarity: settings.knnSimilarity,
+    k: settings.knnK,
+    shrinkage: settings.knnShrinkage
+  };
+}
+
+function formatFittedScore(recommender, score) {
+  return recommender.predictsRatings ? formatStarRating(score) : `${score} ratings`;
+}
+
+/**
+ * Read the "Number of Recommendations" field. Fall back to ten results when
+ * the field is empty or out of range rather than silently rendering an empty
+ * list.
+ */
+function readRecommendationLimit() {
+  const requested = parseInt(document.getElementById('top-n-input').value, 10);
+  return Number.isNaN(requested) || requested < 1 ? 10 : Math.min(requested, 50);
+}
+
+/**
+ * Offer the onboarding movies for the loaded dataset, restoring the visitor's
+ * saved ratings. Movies they rated earlier stay in the list even if they are
+ * no longer among the picks, so every saved rating can be changed.
+ */
+function setupOnboarding() {
+  visitorRatingsKey = datasetHash;
+  visitorRatings = loadVisitorRatings(visitorRatingsKey);
+
+  const picked = pickOnboardingMovies();
+  const previouslyRated = Object.keys(visitorRatings)
+    .map((movieId) => movieIndexById[movieId])
+    .filter((movieIndex) => movieIndex !== undefined && !picked.includes(movieIndex));
+  onboardingMovieIndices = [...picked, ...previouslyRated];
+
+  renderOnboardingList(
+    document.getElementById('onboarding-list'),
+    onboardingMovieIndices,
+    visitorRatings,
+    rateOnboardingMovie
+  );
+}
+
+function rateOnboardingMovie(movieId, rating) {
+  if (rating === null) {
+    delete visitorRatings[movieId];
+  } else {
+    visitorRatings[movieId] = rating;
+  }
+
+  saveVisitorRatings(visitorRatingsKey, visitorRatings);
+  refreshControls();
+}
+
+function resetVisitorRatings() {
+  saveVisitorRatings(visitorRatingsKey, {});
+  setupOnboarding();
+  refreshControls();
+}
+
+/**
+ * Recommend movies for the onboarding visitor by folding them into the
+ * current model (see onboarding.js). Movies they rated are left out.
+ */
+function recommendForVisitor() {
+  if (!model || !isModelReady || modelType !== 'mf') {
+    return;
+  }
+
+  const resultEl = document.getElementById('result');
+  const ratedCount = Object.keys(visitorRatings).length;
+  if (ratedCount < ONBOARDING_MIN_RATINGS) {
+    resultEl.textContent = `Please rate at least ${ONBOARDING_MIN_RATINGS} movies first.`;
+    return;
+  }
+
+  const limit = readRecommendationLimit();
+  const scores = scoreVisitorForAllMovies(model, modelObjective, visitorRatings);
+  const ratedIndices = new Set(Object.keys(visitorRatings).map((movieId) => movieIndexById[movieId]));
+  const recommendations = getTopRecommendations(null, limit, scores, ratedIndices);
+
+  renderRecommendationList(
+    resultEl,
+    `Top ${limit} recommendations based on your ${ratedCount} ratings:`,
+    recommendations,
+    formatModelScore
+  );
+}
+
+/**
+ * Validate the "Add Ratings" form and queue its rating for the next update.
+ * A movie ID that is neither listed nor queued with a title needs one.
+ */
+function queueNewRating() {
+  const statusEl = document.getElementById('status');
+  const userId = Number(document.getElementById('new-rating-user-input').value);
+  const movieId = Number(document.getElementById('new-rating-movie-input').value);
+  const rating = Number(document.getElementById('new-rating-value-input').value);
+  const title = document.getElementById('new-rating-title-input').value.trim();
+
+  const isNewMovie = movieIndexById[movieId] === undefined
+    && !pendingRatings.some((entry) => entry.movieId === movieId && entry.title);
+  let problem = null;
+  if (!Number.isInteger(userId) || userId < 1) {
+    problem = 'Enter a whole-number user ID.';
+  } else if (!Number.isInteger(movieId) || movieId < 1) {
+    problem = 'Enter a whole-number movie ID.';
+  } else if (!(rating >= 0.5 && rating <= 5) || rating * 2 !== Math.round(rating * 2)) {
+    problem = 'Ratings go from 0.5 to 5 stars in half-star steps.';
+  } else if (isNewMovie && !title) {
+    problem = `Movie ${movieId} is not in the dataset yet. Give it a title to add it.`;
+  }
+
+  if (problem) {
+    statusEl.textContent = problem;
+    statusEl.className = 'status-box error';
+    return;
+  }
+
+  // A later rating of the same pair replaces the queued one.
+  pendingRatings = pendingRatings.filter((entry) => entry.userId !== userId || entry.movieId !== movieId);
+  pendingRatings.push({ userId, movieId, rating, title: isNewMovie ? title : null });
+  document.getElementById('new-rating-title-input').value = '';
+  renderPendingRatings();
+  refreshControls();
+}
+
+function renderPendingRatings() {
+  const list = document.getElementById('pending-ratings-list');
+  list.innerHTML = '';
+
+  pendingRatings.forEach((entry, position) => {
+    const item = document.createElement('li');
+    const userLabel = userIndexById[entry.userId] === undefined ? `new user ${entry.userId}` : `User ${entry.userId}`;
+    const movieIndex = movieIndexById[entry.movieId];
+    const movieLabel = movieIndex === undefined
+      ? `${entry.title ?? `movie ${entry.movieId}`} (new movie ${entry.movieId})`
+      : movies[movieIndex].title;
+
+    const text = document.createElement('span');
+    text.textContent = `${userLabel} rates "${movieLabel}" ${entry.rating} / 5`;
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => {
+      pendingRatings.splice(position, 1);
+      renderPendingRatings();
+      refreshControls();
+    });
+
+    item.append(text, removeButton);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Add the queued ratings to the loaded data and fold them into the current
+ * model (see online-updates.js): the embedding tables grow for new users and
+ * movies, then a short fine-tuning run in the worker learns from the new
+ * ratings plus a replay sample. The grown model replaces the current one even
+ * if the run is cancelled, so the new IDs can always be scored. The updated
+ * model is not saved, since reloading the page drops the added ratings.
+ */
+async function applyPendingRatings() {
+  if (!model || !isModelReady || pendingRatings.length === 0) {
+    return;
+  }
+
+  const statusEl = document.getElementById('status');
+  const modelInfo = getActiveModelInfo();
+  const ratingCount = pendingRatings.length;
+  let grownModel = null;
+
+  try {
+    // The data only changes once a grown model exists for it. If anything up
+    // to that point fails, the data goes back as it was and the ratings stay
+    // queued, so the model and the tables never disagree on the counts.
+    assertCanUpdateOnline(model);
+    const snapshot = snapshotDataset();
+    let payload;
+    try {
+      pendingRatings
+        .filter((entry) => entry.title && movieIndexById[entry.movieId] === undefined)
+        .forEach(({ movieId, title }) => addMovie({ id: movieId, title }));
+      const newRows = addRatings(pendingRatings);
+      ({ grownModel, payload } = prepareOnlineUpdate(model, newRows, trainingSettings, modelInfo));
+    } catch (error) {
+      restoreDataset(snapshot);
+      throw error;
+    }
+
+    pendingRatings = [];
+    renderPendingRatings();
+
+    // Everything fitted on or derived from the old data is stale now.
+    fittedRecommenders.clear();
+    movieRatingCounts = getMovieRatingCounts();
+    datasetHash = computeDatasetHash(movies, ratings);
+    populateUserPicker();
+    populateMoviePicker();
+
+    isTraining = true;
+    refreshControls();
+    const weights = await trainInWorker(payload, (progress) => {
+      if (progress.stage === 'epoch') {
+        statusEl.textContent = `Updating model... Epoch ${progress.epoch + 1}/${progress.epochs} — loss: ${progress.loss.toFixed(4)}`;
+        statusEl.className = 'status-box info';
+      }
+    });
+    restoreWeights(grownModel, weights);
+
+    statusEl.textContent = `Model updated with ${ratingCount} new ratings and ready for predictions.`;
+    statusEl.className = 'status-box success';
+  } catch (error) {
+    if (isTrainingCancelled(error)) {
+      statusEl.textContent = 'Update cancelled. The ratings were added, but the model has not learned from them yet.';
+      statusEl.className = 'status-box info';
+      return;
+    }
+
+    console.error('Updating the model failed', error);
+    statusEl.textContent = `Updating the model failed: ${error.message}`;
+    if (pendingRatings.length > 0) {
+      statusEl.textContent += ' The ratings are still queued.';
+    }
+    statusEl.className = 'status-box error';
+  } finally {
+    isTraining = false;
+    if (grownModel) {
+      setActiveModel(grownModel, modelInfo);
+    }
+    refreshControls();
+  }
+}
+
+/**
+ * Recommend movies for someone who has no ratings, only the demographics
+ * entered in the "Recommend for a New User" form. Needs the feature-aware
+ * model, which is the only one that knows what demographics mean.
+ */
+function recommendForProfile() {
+  if (!model || !isModelReady || modelType !== 'features') {
+    return;
+  }
+
+  const resultEl = document.getElementById('result');
+  const age = parseInt(document.getElementById('profile-age-input').value, 10);
+  const profile = {
+    age: Number.isNaN(age) ? null : age,
+    gender: document.getElementById('profile-gender-select').value || null,
+    occupation: document.getElementById('profile-occupation-select').value || null
+  };
+
+  const limit = readRecommendationLimit();
+  const scores = scoreProfileForAllMovies(model, profile, modelFeatureVocabulary);
+  const recommendations = getTopRecommendations(null, limit, scores);
+
+  const described = [
+    profile.age === null ? null : `age ${profile.age}`,
+    profile.gender,
+    profile.occupation
+  ].filter(Boolean).join(', ') || 'no profile details';
+  renderRecommendationList(
+    resultEl,
+    `Top ${limit} recommendations for a new user (${described}):`,
+    recommendations,
+    formatModelScore
+  );
+}
+
+/**
+ * Fill the new-user form's choices from the vocabulary the current model was
+ * trained with, keeping the current selections where they still exist.
+ */
+function populateProfileForm() {
+  const vocabulary = modelFeatureVocabulary ?? { genders: [], occupations: [] };
+
+  [
+    ['profile-gender-select', vocabulary.genders],
+    ['profile-occupation-select', vocabulary.occupations]
+  ].forEach(([selectId, values]) => {
+    const select = document.getElementById(selectId);
+    const previous = select.value;
+    select.innerHTML = '';
+
+    const unknownOption = document.createElement('option');
+    unknownOption.value = '';
+    unknownOption.textContent = 'Unknown';
+    select.appendChild(unknownOption);
+
+    values.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    });
+
+    select.value = values.includes(previous) ? previous : '';
+  });
+}
+
+/**
+ * List the precomputed embedding neighbours of the movie picked in
+ * `#movie-select`.
+ */
+function showSimilarMovies() {
+  const similarEl = document.getElementById('similar-movies');
+  const movieId = parseInt(document.getElementById('movie-select').value, 10);
+  const movieIndex = movieIndexById[movieId];
+
+  if (Number.isNaN(movieId) || movieIndex === undefined || !movieNeighbours[movieIndex]) {
+    similarEl.innerHTML = '';
+    return;
+  }
+
+  renderSimilarMovies(similarEl, movies[movieIndex], movieNeighbours[movieIndex]);
+}
+
+function renderTrainingDashboard() {
+  lastDashboardRedraw = Date.now();
+  const current = trainingRuns[trainingRuns.length - 1];
+  document.getElementById('training-summary').textContent = current
+    ? describeTrainingRun(current)
+    : 'No training run yet.';
+  drawLossChart(document.getElementById('loss-chart'), trainingRuns);
+  renderTrainingRunLegend(document.getElementById('training-run-legend'), trainingRuns);
+}
+
+/**
+ * Forget every finished run. A run in progress stays on the chart.
+ */
+function clearTrainingRuns() {
+  const keep = isTraining ? trainingRuns.slice(-1) : [];
+  trainingRuns.splice(0, trainingRuns.length, ...keep);
+  renderTrainingDashboard();
+}
+
+/**
+ * Project the active model's embeddings and draw them in the embedding map.
+ * Projecting takes a moment on large datasets, so it only happens while the
+ * panel is open.
+ */
+function showEmbeddingMap() {
+  const panel = document.getElementById('embedding-panel');
+  if (!panel.open || !model || !isModelReady) {
+    return;
+  }
+
+  const kind = document.getElementById('embedding-kind-select').value;
+  const isUsers = kind === 'users';
+  const { coordinates, explainedVariance } = projectEmbeddingLayer(
+    model,
+    isUsers ? 'user-embedding' : 'movie-embedding',
+    isUsers ? numUsers : movies.length
+  );
+
+  embeddingMap = {
+    kind,
+    entries: buildEmbeddingMapEntries(kind),
+    coordinates,
+    genreColours: buildGenreColours(),
+    positions: null
+  };
+  redrawEmbeddingMap();
+
+  const [first, second] = explainedVariance.map((share) => `${(share * 100).toFixed(1)}%`);
+  document.getElementById('embedding-summary').textContent =
+    `${embeddingMap.entries.length} ${kind} on the first two principal components of their embeddings, `
+    + `which keep ${first} and ${second} of the variance. Hover over a point to see what it is; click it to select it.`;
+  renderGenreLegend(document.getElementById('embedding-legend'), embeddingMap.genreColours);
+}
+
+/**
+ * Draw the current map again, outlining the user or movie picked in the
+ * matching dropdown.
+ */
+function redrawEmbeddingMap() {
+  const selectId = embeddingMap.kind === 'users' ? 'user-select' : 'movie-select';
+  const selectedId = parseInt(document.getElementById(selectId).value, 10);
+
+  embeddingMap.positions = drawEmbeddingMap(
+    document.getElementById('embedding-canvas'),
+    embeddingMap.coordinates,
+    embeddingMap.entries,
+    embeddingMap.genreColours,
+    embeddingMap.entries.findIndex((entry) => entry.id === selectedId)
+  );
+}
+
+function refreshEmbeddingMapSelection() {
+  if (embeddingMap) {
+    redrawEmbeddingMap();
+  }
+}
+
+/**
+ * Find the map point under the mouse. The canvas is scaled by CSS, so
+ * pointer positions are converted to canvas pixels first.
+ */
+function getEmbeddingMapPointAt(event) {
+  if (!embeddingMap) {
+    return -1;
+  }
+
+  const canvas = event.currentTarget;
+  const bounds = canvas.getBoundingClientRect();
+  const scale = canvas.width / bounds.width;
+  return findEmbeddingMapPoint(
+    embeddingMap.positions,
+    (event.clientX - bounds.left) * scale,
+    (event.clientY - bounds.top) * scale
+  );
+}
+
+function showEmbeddingTooltip(event) {
+  const tooltip = document.getElementById('embedding-tooltip');
+  const point = getEmbeddingMapPointAt(event);
+  if (point === -1) {
+    hideEmbeddingTooltip();
+    return;
+  }
+
+  const { label, genre } = embeddingMap.entries[point];
+  const canvas = event.currentTarget;
+  const scale = canvas.getBoundingClientRect().width / canvas.width;
+  tooltip.textContent = genre ? `${label} (${genre})` : label;
+  tooltip.style.left = `${embeddingMap.positions[point * 2] * scale}px`;
+  tooltip.style.top = `${embeddingMap.positions[point * 2 + 1] * scale}px`;
+  tooltip.hidden = false;
+}
+
+function hideEmbeddingTooltip() {
+  document.getElementById('embedding-tooltip').hidden = true;
+}
+
+/**
+ * Clicking a movie selects it in `#movie-select` (showing its neighbours);
+ * clicking a user selects them in `#user-select`.
+ */
+function selectEmbeddingMapPoint(event) {
+  const point = getEmbeddingMapPointAt(event);
+  if (point === -1) {
+    return;
+  }
+
+  const { id } = embeddingMap.entries[point];
+  // setValue does not fire `change`, so do what the pickers' listeners would.
+  if (embeddingMap.kind === 'users') {
+    userPicker.setValue(String(id));
+    showUserProfile();
+  } else {
+    moviePicker.setValue(String(id));
+    showSimilarMovies();
+  }
+  redrawEmbeddingMap();
+}
+
+/**
+ * Show the profile of the user picked in `#user-select` while the profile
+ * panel is open. Predictions come from the trained model whatever the
+ * current recommendation mode is.
+ */
+function showUserProfile() {
+  const container = document.getElementById('user-profile');
+  const panel = document.getElementById('user-profile-panel');
+  const userId = parseInt(document.getElementById('user-select').value, 10);
+  const userIndex = userIndexById[userId];
+
+  if (!panel.open || Number.isNaN(userId) || userIndex === undefined) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const scores = model && isModelReady ? scoreAllMovies(userId) : null;
+  const summary = summariseUserRatings(userIndex, scores, !isImplicitObjective(modelObjective));
+  renderUserProfile(container, userId, summary, formatModelScore);
+}
+
+function updateHybridWeightLabel() {
+  const weight = parseFloat(document.getElementById('hybrid-weight-input').value);
+  document.getElementById('hybrid-weight-value').textContent =
+    `${Math.round(weight * 100)}% MF / ${Math.round((1 - weight) * 100)}% genres`;
+}
+
+/**
+ * Render a ranked list of `{ movie, score, detail? }` entries, formatting each
+ * score with `formatScore`. DOM nodes are built by hand so movie titles are
+ * always treated as text rather than markup.
+ */
+function renderRecommendationList(container, heading, entries, formatScore = formatStarRating) {
+  container.innerHTML = '';
+
+  const title = document.createElement('strong');
+  title.textContent = heading;
+  container.appendChild(title);
+
+  const list = document.createElement('ol');
+  list.className = 'recommendation-list';
+
+  entries.forEach(({ movie, score, detail }) => {
+    const item = document.createElement('li');
+    item.textContent = `${movie.title} `;
+
+    const scoreEl = document.createElement('span');
+    scoreEl.className = 'score';
+    scoreEl.textContent = detail
+      ? `(${formatScore(score)} — ${detail})`
+      : `(${formatScore(score)})`;
+    item.appendChild(scoreEl);
+
+    list.appendChild(item);
+  });
+
+  container.appendChild(list);
+
+  const diversity = document.createElement('p');
+  diversity.className = 'hint';
+  diversity.textContent = describeListDiversity(entries.map((entry) => entry.index), movieRatingCounts);
+  container.appendChild(diversity);
+}
+
+/**
+ * Retrain the model on a per-user train split and report error and ranking
+ * metrics on the held-out ratings. The retrained model replaces the current
+ * one, so predictions afterwards reflect the training split only.
+ */
+async function runEvaluation() {
+  if (!isModelReady) {
+    return;
+  }
+
+  const statusEl = document.getElementById('status');
+  const metricsEl = document.getElementById('metrics');
+  const strategy = document.getElementById('split-select').value;
+  const requestedHoldout = parseInt(document.getElementById('holdout-count-input').value, 10);
+  const holdoutCount = Number.isNaN(requestedHoldout) || requestedHoldout < 1 ? DEFAULT_HOLDOUT_COUNT : requestedHoldout;
+  const splitLabel = strategy === 'leave-last-n' ? `leave-last-${holdoutCount}` : strategy;
+  // Every recommender's lists get the same re-ranking, so the rows compare
+  // like with like.
+  const reranking = readRerankingSettings();
+  const rerankLabel = isRerankingActive(reranking) ? ', re-ranked' : '';
+  const rankMovies = (scores, seen, k, trainCounts) => rerankMovies(
+    rankUnseenMovies(scores, seen, getRerankingPoolSize(k, reranking)),
+    scores,
+    k,
+    reranking,
+    trainCounts
+  );
+
+  try {
+    applySettingsForm();
+
+    statusEl.textContent = `Splitting ratings (${splitLabel})...`;
+    statusEl.className = 'status-box info';
+    const split = splitRatings({ strategy, holdoutCount });
+
+    await trainModel(split.train);
+    const { timeDecayHalfLife } = trainingSettings;
+    const decayLabel = timeDecayHalfLife > 0 ? `, ${timeDecayHalfLife}-day half-life` : '';
+
+    statusEl.textContent = `Evaluating on ${split.test.length} held-out ratings...`;
+    await tf.nextFrame();
+    // Implicit models output ranking scores, so only their ranking metrics
+    // are meaningful; RMSE/MAE would compare logits with star ratings.
+    const metrics = evaluateRecommender(scoreAllMovies, split, {
+      ratingMetrics: !isImplicitObjective(modelObjective),
+      rankMovies
+    });
+
+    evaluationHistory.push({
+      name: `${MODEL_TYPE_LABELS[modelType]} (${OBJECTIVE_LABELS[modelObjective]}${decayLabel}, ${splitLabel} split${rerankLabel})`,
+      ...metrics
+    });
+
+    // Score the baselines on the very same split so the rows are comparable.
+    if (document.getElementById('include-baselines-input').checked) {
+      BASELINES.forEach((definition) => {
+        const baseline = fitBaseline(definition.id, split.train);
+        evaluationHistory.push({
+          name: `${baseline.label} baseline (${splitLabel} split${rerankLabel})`,
+          ...evaluateRecommender(baseline.scoreUser, split, { ratingMetrics: baseline.predictsRatings, rankMovies })
+        });
+      });
+    }
+
+    if (document.getElementById('include-knn-input').checked) {
+      for (const definition of NEIGHBOURHOOD_MODELS) {
+        statusEl.textContent = `Evaluating ${definition.label} on the same split...`;
+        await tf.nextFrame();
+        const neighbourhoodModel = fitNeighbourhoodModel(definition.id, getNeighbourhoodConfig(), split.train);
+        evaluationHistory.push({
+          name: `${neighbourhoodModel.label} (${splitLabel} split${rerankLabel})`,
+          ...evaluateRecommender(neighbourhoodModel.scoreUser, split, { rankMovies })
+        });
+      }
+    }
+    renderMetricsTable(metricsEl, evaluationHistory);
+    statusEl.textContent = `Evaluation complete (${splitLabel} split). The model is now trained on the training split only.`;
+    statusEl.className = 'status-box success';
+  } catch (error) {
+    if (isTrainingCancelled(error)) {
+      statusEl.textContent = 'Evaluation cancelled. The previous model is still in use.';
+      statusEl.className = 'status-box info';
+      return;
+    }
+
+    console.error('Evaluation failed', error);
+    statusEl.textContent = `Evaluation failed: ${error.message}`;
+    statusEl.className = 'status-box error';
+  } finally {
+    refreshControls();
+  }
+}
@@ -0,0 +1,152 @@
+// settings.js owns the training hyperparameters shown in the settings form.
+// The current values are mirrored into the page's query string so a link to
+// the page reproduces the exact experiment that produced a model.
+
+import { MODEL_TYPES, TRAINING_OBJECTIVES } from './model.js';
+import { KNN_SIMILARITIES } from './knn.js';
+
+// Each field maps a settings key to its form input, query parameter and the
+// values we accept: a numeric range (integers reject "20.5" latent factors) or,
+// for choice fields, a list of options.
+export const TRAINING_SETTING_FIELDS = [
+  { key: 'modelType', inputId: 'model-type-select', label: 'Model type', options: MODEL_TYPES },
+  { key: 'latentDim', inputId: 'latent-dim-input', label: 'Latent dimension', min: 1, max: 256, integer: true },
+  { key: 'epochs', inputId: 'epochs-input', label: 'Epochs', min: 1, max: 100, integer: true },
+  { key: 'batchSize', inputId: 'batch-size-input', label: 'Batch size', min: 1, max: 4096, integer: true },
+  { key: 'learningRate', inputId: 'learning-rate-input', label: 'Learning rate', min: 0.00001, max: 1, integer: false },
+  { key: 'sampleSize', inputId: 'sample-size-input', label: 'Training sample size', min: 100, max: 100000000, integer: true },
+  { key: 'l2', inputId: 'l2-input', label: 'L2 regularisation', min: 0, max: 1, integer: false },
+  { key: 'objective', inputId: 'objective-select', label: 'Training objective', options: TRAINING_OBJECTIVES },
+  { key: 'negatives', inputId: 'negatives-input', label: 'Negatives per positive', min: 1, max: 20, integer: true },
+  { key: 'validationFraction', inputId: 'validation-fraction-input', label: 'Validation fraction', min: 0, max: 0.5, integer: false },
+  { key: 'earlyStoppingPatience', inputId: 'early-stopping-input', label: 'Early stopping patience', min: 0, max: 50, integer: true },
+  { key: 'timeDecayHalfLife', inputId: 'time-decay-input', label: 'Time decay half-life (days)', min: 0, max: 10000, integer: false },
+  { key: 'knnSimilarity', inputId: 'knn-similarity-select', label: 'Neighbourhood similarity', options: KNN_SIMILARITIES },
+  { key: 'knnK', inputId: 'knn-k-input', label: 'Neighbours (k)', min: 1, max: 500, integer: true },
+  { key: 'knnShrinkage', inputId: 'knn-shrinkage-input', label: 'Similarity shrinkage', min: 0, max: 1000, integer: false }
+];
+
+export const DEFAULT_TRAINING_SETTINGS = {
+  modelType: 'mf',
+  latentDim: 20,
+  epochs: 2,
+  batchSize: 128,
+  learningRate: 0.001,
+  sampleSize: 4000,
+  l2: 0,
+  objective: 'explicit',
+  negatives: 4,
+  validationFraction: 0.1,
+  // 0 turns early stopping off; otherwise the number of epochs without
+  // improvement to wait before stopping.
+  earlyStoppingPatience: 0,
+  // 0 turns recency weighting off: every rating counts the same.
+  timeDecayHalfLife: 0,
+  knnSimilarity: 'pearson',
+  knnK: 40,
+  knnShrinkage: 100
+};
+// Settings only the neighbourhood recommenders read; a trained model does not
+// depend on them.
+export const FITTED_ONLY_SETTING_KEYS = ['knnSimilarity', 'knnK', 'knnShrinkage'];
+
+/**
+ * Parse a raw value for one field. Returns null when the value is missing,
+ * not one of the field's options, not a number or outside the field's range.
+ */
+function parseSettingValue(field, rawValue) {
+  if (rawValue === null || String(rawValue).trim() === '') {
+    return null;
+  }
+
+  if (field.options) {
+    return field.options.includes(rawValue) ? rawValue : null;
+  }
+
+  const value = Number(rawValue);
+  if (!Number.isFinite(value) || (field.integer && !Number.isInteger(value))) {
+    return null;
+  }
+
+  return value >= field.min && value <= field.max ? value : null;
+}
+
+/**
+ * Read settings from a query string such as `?latentDim=32&epochs=5`.
+ * Missing or invalid parameters fall back to the defaults so a mangled link
+ * still loads the page.
+ */
+export function readSettingsFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const settings = { ...DEFAULT_TRAINING_SETTINGS };
+
+  TRAINING_SETTING_FIELDS.forEach((field) => {
+    const value = parseSettingValue(field, params.get(field.key));
+    if (value !== null) {
+      settings[field.key] = value;
+    }
+  });
+
+  return settings;
+}
+
+/**
+ * Replace the settings parameters in the current URL without reloading.
+ * Unrelated query parameters are left untouched.
+ */
+export function writeSettingsToQuery(settings) {
+  const url = new URL(window.location.href);
+  TRAINING_SETTING_FIELDS.forEach((field) => {
+    url.searchParams.set(field.key, String(settings[field.key]));
+  });
+  window.history.replaceState(null, '', url);
+}
+
+export function fillSettingsForm(settings) {
+  TRAINING_SETTING_FIELDS.forEach((field) => {
+    document.getElementById(field.inputId).value = String(settings[field.key]);
+  });
+}
+
+/**
+ * Read and validate the settings form. Throws with a readable message naming
+ * the first invalid field so the caller can show it in the status box.
+ */
+export function readSettingsForm(fields = TRAINING_SETTING_FIELDS) {
+  return readSettings((field) => document.getElementById(field.inputId).value, fields);
+}
+
+/**
+ * Validate one raw value per field, as returned by `readRawValue(field)`.
+ * Shared by the form and the command line (see node/cli.mjs), which both
+ * report the first invalid field rather than silently using the default.
+ * Pass `fields` to read only some of the settings.
+ */
+export function readSettings(readRawValue, fields = TRAINING_SETTING_FIELDS) {
+  const settings = {};
+
+  fields.forEach((field) => {
+    const value = parseSettingValue(field, readRawValue(field));
+    if (value === null && field.options) {
+      throw new Error(`${field.label} must be one of: ${field.options.join(', ')}.`);
+    }
+    if (value === null) {
+      const kind = field.integer ? 'a whole number' : 'a number';
+      throw new Error(`${field.label} must be ${kind} between ${field.min} and ${field.max}.`);
+    }
+    settings[field.key] = value;
+  });
+
+  return settings;
+}
+
+/**
+ * Labels of the settings that shape a trained model and differ between
+ * `savedSettings`, as recorded with a saved model, and `settings`.
+ */
+export function listChangedModelSettings(savedSettings, settings) {
+  return TRAINING_SETTING_FIELDS
+    .filter((field) => !FITTED_ONLY_SETTING_KEYS.includes(field.key))
+    .filter((field) => savedSettings[field.key] !== settings[field.key])
+    .map((field) => field.label);
+}
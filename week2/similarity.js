@@ -0,0 +1,84 @@
+// similarity.js finds "movies like this" from the learned movie embeddings.
+// Two movies end up with similar latent vectors when the same users rate them
+// alike, so cosine similarity between embeddings captures taste-based
+// neighbours that genre flags alone (the root demo's Jaccard approach) miss.
+
+import { movies } from './data.js';
+import { jaccardSimilarity } from './hybrid.js';
+
+export const DEFAULT_NEIGHBOUR_COUNT = 10;
+// Movies compared with the whole catalogue at a time. A full similarity
+// matrix would need 4 bytes per movie pair (gigabytes from the 10M release
+// up), while a block of rows stays at a few dozen megabytes.
+const NEIGHBOUR_BLOCK_SIZE = 256;
+
+/**
+ * Precompute the `k` nearest neighbours of every movie by cosine similarity of
+ * their `movie-embedding` rows. Doing this once after training keeps selecting
+ * a movie instant. Returns an array indexed by dense movie index, each entry a
+ * list of `{ index, similarity }` sorted from most to least similar.
+ */
+export function buildMovieNeighbours(sourceModel, movieCount, k = DEFAULT_NEIGHBOUR_COUNT) {
+  const [embeddingWeights] = sourceModel.getLayer('movie-embedding').getWeights();
+
+  const normalised = tf.tidy(() => {
+    // The table has one spare row beyond the last movie (see createModel).
+    const embeddings = embeddingWeights.slice([0, 0], [movieCount, -1]);
+    return embeddings.div(embeddings.norm('euclidean', 1, true).add(1e-8));
+  });
+
+  const neighbours = [];
+  try {
+    for (let start = 0; start < movieCount; start += NEIGHBOUR_BLOCK_SIZE) {
+      const size = Math.min(NEIGHBOUR_BLOCK_SIZE, movieCount - start);
+      const { indices, values } = tf.tidy(() => {
+        const similarities = normalised.slice([start, 0], [size, -1]).matMul(normalised, false, true);
+        // Ask for one extra neighbour because every movie is its own best match.
+        const top = tf.topk(similarities, Math.min(k + 1, movieCount));
+        return { indices: top.indices.arraySync(), values: top.values.arraySync() };
+      });
+
+      indices.forEach((row, offset) => {
+        const movieIndex = start + offset;
+        neighbours.push(row
+          .map((index, rank) => ({ index, similarity: values[offset][rank] }))
+          .filter((neighbour) => neighbour.index !== movieIndex)
+          .slice(0, k));
+      });
+    }
+  } finally {
+    normalised.dispose();
+  }
+
+  return neighbours;
+}
+
+/**
+ * Render the neighbours of one movie, showing the genre Jaccard score next to
+ * the embedding similarity so the two notions of "similar" can be compared.
+ */
+export function renderSimilarMovies(container, movie, neighbours) {
+  container.innerHTML = '';
+
+  const heading = document.createElement('strong');
+  heading.textContent = `Movies like "${movie.title}":`;
+  container.appendChild(heading);
+
+  const list = document.createElement('ol');
+  list.className = 'recommendation-list';
+
+  neighbours.forEach(({ index, similarity }) => {
+    const neighbour = movies[index];
+    const item = document.createElement('li');
+    item.textContent = `${neighbour.title} `;
+
+    const scoreEl = document.createElement('span');
+    scoreEl.className = 'score';
+    scoreEl.textContent = `(cosine ${similarity.toFixed(2)}, genre Jaccard ${jaccardSimilarity(movie.genres, neighbour.genres).toFixed(2)})`;
+    item.appendChild(scoreEl);
+
+    list.appendChild(item);
+  });
+
+  container.appendChild(list);
+}
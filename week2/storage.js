@@ -0,0 +1,124 @@
+// storage.js persists trained models so the page does not have to retrain on
+// every load. TensorFlow.js already knows how to write models to IndexedDB and
+// to downloadable files; this module adds the metadata we need to trust a
+// saved model: the ID-to-index mappings used during training and a hash of the
+// dataset the weights were learned from.
+
+import { movieIndexById, userIds, userIndexById } from './data.js';
+
+const MODEL_STORAGE_URL = 'indexeddb://matrix-factorization-recommender';
+const MODEL_EXPORT_NAME = 'matrix-factorization-recommender';
+
+/**
+ * Compute a short FNV-1a hash of the parsed movies and ratings. It only needs
+ * to detect that the data changed, not to be cryptographically strong.
+ */
+export function computeDatasetHash(movieList, ratingTable) {
+  let hash = 0x811c9dc5;
+
+  // Mix the four bytes of a 32-bit integer. Called once per column value, so
+  // it avoids building strings for millions of ratings.
+  const mix = (value) => {
+    for (let shift = 0; shift < 32; shift += 8) {
+      hash ^= (value >>> shift) & 0xff;
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+  };
+
+  mix(movieList.length);
+  movieList.forEach((movie) => mix(movie.id));
+  mix(ratingTable.length);
+  for (let row = 0; row < ratingTable.length; row += 1) {
+    mix(userIds[ratingTable.userIndices[row]]);
+    mix(movieList[ratingTable.movieIndices[row]].id);
+    // Ratings are whole or half stars, so doubling keeps them exact.
+    mix(Math.round(ratingTable.values[row] * 2));
+  }
+
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Bundle everything a saved model needs besides its weights. The metadata is
+ * stored inside model.json, so it travels with exported files too.
+ * Feature-aware models also record the vocabulary their feature tables were
+ * encoded with (see features.js); it is null for plain MF. The training
+ * settings let the page tell whether a saved model matches the settings in
+ * its URL.
+ */
+export function buildModelMetadata(datasetHash, { objective, modelType, featureVocabulary, settings }) {
+  return {
+    datasetHash,
+    objective,
+    modelType,
+    featureVocabulary,
+    trainingSettings: settings,
+    userIndexById,
+    movieIndexById,
+    savedAt: new Date().toISOString()
+  };
+}
+
+export async function saveModelToBrowser(modelToSave, metadata) {
+  modelToSave.setUserDefinedMetadata(metadata);
+  await modelToSave.save(MODEL_STORAGE_URL);
+}
+
+/**
+ * Load the model stored in IndexedDB. Resolves to null when nothing has been
+ * saved yet or when the saved model was trained on different data.
+ */
+export async function loadModelFromBrowser(expectedHash) {
+  const savedModels = await tf.io.listModels();
+  if (!savedModels[MODEL_STORAGE_URL]) {
+    return null;
+  }
+
+  const loadedModel = await tf.loadLayersModel(MODEL_STORAGE_URL);
+  const metadata = loadedModel.getUserDefinedMetadata();
+
+  if (!metadata || metadata.datasetHash !== expectedHash) {
+    loadedModel.dispose();
+    return null;
+  }
+
+  return { model: loadedModel, metadata };
+}
+
+/**
+ * Trigger a browser download of model.json and its weight file so the model
+ * can be shared and imported elsewhere.
+ */
+export async function exportModel(modelToExport, metadata) {
+  modelToExport.setUserDefinedMetadata(metadata);
+  await modelToExport.save(`downloads://${MODEL_EXPORT_NAME}`);
+}
+
+/**
+ * Load a model from the files produced by `exportModel`. Expects the
+ * model.json file plus its .bin weight file(s), in any order.
+ */
+export async function importModelFiles(fileList, expectedHash) {
+  const files = Array.from(fileList);
+  const jsonFile = files.find((file) => file.name.endsWith('.json'));
+  const weightFiles = files.filter((file) => file !== jsonFile);
+
+  if (!jsonFile || weightFiles.length === 0) {
+    throw new Error('Select both the model .json file and its .bin weights file.');
+  }
+
+  const loadedModel = await tf.loadLayersModel(tf.io.browserFiles([jsonFile, ...weightFiles]));
+  const metadata = loadedModel.getUserDefinedMetadata();
+
+  if (!metadata || !metadata.userIndexById || !metadata.movieIndexById) {
+    loadedModel.dispose();
+    throw new Error('The selected file is missing its user and movie mappings.');
+  }
+
+  if (metadata.datasetHash !== expectedHash) {
+    loadedModel.dispose();
+    throw new Error('The imported model was trained on a different dataset.');
+  }
+
+  return { model: loadedModel, metadata };
+}
@@ -0,0 +1,157 @@
+// Unit tests for the MovieLens parsers in data.js, which run without
+// TensorFlow.js. data.js holds one dataset per process, so every test starts
+// from an empty one.
+
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { beforeEach, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import {
+  dataQualityReport,
+  detectDatasetFormat,
+  movies,
+  parseItemData,
+  parseRatingData,
+  ratings,
+  resetDataset,
+  userIds
+} from '../data.js';
+import { createPipeline } from '../node/recommender.mjs';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const TOY_STORY_100K = '1|Toy Story (1995)|01-Jan-1995||http://us.imdb.com/M/title-exact?Toy%20Story%20(1995)|0|0|0|1|1|1|0|0|0|0|0|0|0|0|0|0|0|0|0';
+const GOLDENEYE_100K = '2|GoldenEye (1995)|01-Jan-1995||http://us.imdb.com/M/title-exact?GoldenEye%20(1995)|0|1|1|0|0|0|0|0|0|0|0|0|0|0|0|0|1|0|0';
+
+beforeEach(() => resetDataset());
+
+describe('detectDatasetFormat', () => {
+  it('recognises each MovieLens layout from its first line', () => {
+    assert.equal(detectDatasetFormat(`${TOY_STORY_100K}\n`), 'ml-100k');
+    assert.equal(detectDatasetFormat('196\t242\t3\t881250949\n'), 'ml-100k');
+    assert.equal(detectDatasetFormat("1::Toy Story (1995)::Animation|Children's|Comedy\n"), 'dat');
+    assert.equal(detectDatasetFormat('1::1193::5::978300760\n'), 'dat');
+    assert.equal(detectDatasetFormat('movieId,title,genres\n1,Toy Story (1995),Comedy\n'), 'csv');
+  });
+
+  it('rejects text in no known layout', () => {
+    assert.throws(() => detectDatasetFormat('not a dataset'), /Unrecognised dataset format/);
+  });
+});
+
+describe('parseItemData', () => {
+  it('reads u.item genre flags, release year and IMDb link', () => {
+    parseItemData(`${TOY_STORY_100K}\n${GOLDENEYE_100K}\n`);
+
+    assert.deepEqual(movies, [
+      {
+        id: 1,
+        title: 'Toy Story (1995)',
+        genres: ['Animation', "Children's", 'Comedy'],
+        year: 1995,
+        imdbUrl: 'http://us.imdb.com/M/title-exact?Toy%20Story%20(1995)'
+      },
+      {
+        id: 2,
+        title: 'GoldenEye (1995)',
+        genres: ['Action', 'Adventure', 'Thriller'],
+        year: 1995,
+        imdbUrl: 'http://us.imdb.com/M/title-exact?GoldenEye%20(1995)'
+      }
+    ]);
+  });
+
+  it('reads movies.dat and movies.csv, including quoted CSV titles', () => {
+    parseItemData('2::Jumanji (1995)::Adventure|Children\'s|Fantasy\n');
+    assert.deepEqual(movies, [
+      { id: 2, title: 'Jumanji (1995)', genres: ['Adventure', "Children's", 'Fantasy'], year: 1995, imdbUrl: null }
+    ]);
+
+    parseItemData('movieId,title,genres\r\n11,"American President, The (1995)",Comedy|Drama|Romance\r\n12,Untitled,(no genres listed)\r\n');
+    assert.deepEqual(movies, [
+      { id: 11, title: 'American President, The (1995)', genres: ['Comedy', 'Drama', 'Romance'], year: 1995, imdbUrl: null },
+      { id: 12, title: 'Untitled', genres: [], year: null, imdbUrl: null }
+    ]);
+  });
+
+  it('skips malformed lines and repeated IDs and reports them', () => {
+    parseItemData(`${TOY_STORY_100K}\nnot-a-number|Broken\n${TOY_STORY_100K}\n`);
+
+    assert.deepEqual(movies.map((movie) => movie.id), [1]);
+    const { issues } = dataQualityReport;
+    assert.equal(issues['malformed-movie'].count, 1);
+    assert.equal(issues['malformed-movie'].examples[0].line, 2);
+    assert.equal(issues['duplicate-movie'].count, 1);
+  });
+});
+
+describe('parseRatingData', () => {
+  it('maps IDs to dense indices and groups the rows by user', () => {
+    parseItemData(`${TOY_STORY_100K}\n${GOLDENEYE_100K}\n`);
+    parseRatingData('7\t2\t4\t100\n3\t1\t5\t200\n7\t1\t2\t300\n');
+
+    assert.deepEqual(userIds, [3, 7]);
+    assert.equal(ratings.length, 3);
+    assert.deepEqual(Array.from(ratings.userIndices.slice(0, 3)), [0, 1, 1]);
+    assert.deepEqual(Array.from(ratings.movieIndices.slice(0, 3)), [0, 1, 0]);
+    assert.deepEqual(Array.from(ratings.values.slice(0, 3)), [5, 4, 2]);
+    assert.deepEqual(Array.from(ratings.timestamps.slice(0, 3)), [200, 100, 300]);
+  });
+
+  it('reads ratings.dat and ratings.csv with half stars and a header', () => {
+    parseItemData(`${TOY_STORY_100K}\n${GOLDENEYE_100K}\n`);
+
+    parseRatingData('1::2::3::978300760\n');
+    assert.deepEqual(Array.from(ratings.values.slice(0, ratings.length)), [3]);
+
+    parseRatingData('userId,movieId,rating,timestamp\r\n1,1,4.5,964982703\r\n1,2,0.5,964982704\r\n');
+    assert.deepEqual(Array.from(ratings.values.slice(0, ratings.length)), [4.5, 0.5]);
+    assert.equal(dataQualityReport.issues['malformed-rating'], undefined);
+  });
+
+  it('drops bad rows, keeping the latest of duplicate ratings', () => {
+    parseItemData(`${TOY_STORY_100K}\n${GOLDENEYE_100K}\n`);
+    parseRatingData([
+      '1\t1\t3\t100',
+      '1\t1\t5\t200',
+      '1\t99\t4\t100',
+      '1\t2\t7\t100',
+      '1\tx\t4\t100',
+      '2\t2\t4\t100'
+    ].join('\n'));
+
+    assert.equal(ratings.length, 2);
+    assert.deepEqual(Array.from(ratings.values.slice(0, 2)), [5, 4]);
+
+    const { issues } = dataQualityReport;
+    assert.equal(issues['duplicate-rating'].count, 1);
+    assert.equal(issues['unknown-movie'].count, 1);
+    assert.equal(issues['out-of-range-rating'].count, 1);
+    assert.equal(issues['malformed-rating'].count, 1);
+  });
+});
+
+describe('loadData', () => {
+  it('keeps the previous dataset when strict mode rejects the new one', async () => {
+    const pipeline = await createPipeline();
+    const loaded = await pipeline.loadData(FIXTURES);
+
+    const directory = await mkdtemp(path.join(tmpdir(), 'dataset-'));
+    try {
+      await writeFile(path.join(directory, 'u.item'), `${TOY_STORY_100K}\n`);
+      await writeFile(path.join(directory, 'u.data'), '1\t1\t5\t100\nbroken\n');
+      await assert.rejects(pipeline.loadData(directory, 'ml-100k', undefined, { strict: true }), /Strict mode rejected/);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+
+    assert.equal(pipeline.movies.length, loaded.movieCount);
+    assert.equal(pipeline.ratings.length, loaded.ratingCount);
+    assert.equal(pipeline.userIds.length, loaded.userCount);
+    // The report still explains the rejection.
+    assert.equal(pipeline.dataQualityReport.issues['malformed-rating'].count, 1);
+  });
+});
@@ -0,0 +1,140 @@
+// Smoke test for node/recommender.mjs: runs every pipeline method on a slice
+// of MovieLens 100K, so a module that starts relying on the DOM fails here
+// rather than in the CLI. Uses the pure-JS TensorFlow.js, since tfjs-node's
+// native binding may not be built.
+
+import assert from 'node:assert/strict';
+import { copyFile, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it, before, after } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import * as tf from '@tensorflow/tfjs';
+
+import { createPipeline } from '../node/recommender.mjs';
+
+const TEST_DIRECTORY = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.join(TEST_DIRECTORY, 'fixtures');
+
+// The fixture user with the fewest ratings, so there are unseen movies left
+// to recommend.
+function lightestUserId(pipeline) {
+  const { userIndices, length } = pipeline.ratings;
+  const counts = new Array(pipeline.userIds.length).fill(0);
+  for (let row = 0; row < length; row += 1) {
+    counts[userIndices[row]] += 1;
+  }
+  return pipeline.userIds[counts.indexOf(Math.min(...counts))];
+}
+
+// The fixtures plus a u.user in a temporary directory. ML-100K's users file
+// is not in the repo, so the profiles are made up; they only need to give
+// the feature-aware model some demographics to encode.
+async function createFixturesWithUsers() {
+  const directory = await mkdtemp(path.join(tmpdir(), 'ml-100k-'));
+  await Promise.all(['u.item', 'u.data'].map((file) => copyFile(path.join(FIXTURES, file), path.join(directory, file))));
+  const ratingLines = (await readFile(path.join(FIXTURES, 'u.data'), 'utf8')).trim().split('\n');
+  const userIds = [...new Set(ratingLines.map((line) => line.split('\t')[0]))];
+  const occupations = ['educator', 'programmer', 'student'];
+  const lines = userIds.map((id, i) => `${id}|${20 + (i % 40)}|${i % 2 ? 'F' : 'M'}|${occupations[i % 3]}|55105`);
+  await writeFile(path.join(directory, 'u.user'), `${lines.join('\n')}\n`);
+  return directory;
+}
+
+const FAST_SETTINGS = { latentDim: 4, epochs: 1, batchSize: 64, sampleSize: 1000, validationFraction: 0 };
+
+describe('createPipeline', () => {
+  let pipeline;
+  let tensorsBefore;
+  let directory;
+
+  before(async () => {
+    tensorsBefore = tf.memory().numTensors;
+    directory = await createFixturesWithUsers();
+    pipeline = await createPipeline({ tf });
+    await pipeline.loadData(directory);
+  });
+
+  after(async () => {
+    pipeline.dispose();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('loads the dataset with its users file', () => {
+    assert.ok(pipeline.movies.length > 0);
+    assert.ok(pipeline.ratings.length > 0);
+    assert.equal(pipeline.dataQualityReport.issues['users-file'], undefined);
+  });
+
+  it('trains, evaluates and scores an explicit MF model', async () => {
+    const settings = pipeline.readSettings(FAST_SETTINGS);
+    const split = pipeline.splitRatings();
+    const info = await pipeline.train(settings, { trainingRows: split.train });
+    assert.equal(info.modelType, 'mf');
+
+    const rows = pipeline.evaluate(split, { baselines: true });
+    assert.ok(rows.length > 1);
+    rows.forEach((row) => assert.equal(typeof row.name, 'string'));
+
+    const userId = lightestUserId(pipeline);
+    const recommendations = pipeline.recommend(userId, { k: 5 });
+    assert.equal(recommendations.length, 5);
+    recommendations.forEach((item) => assert.ok(pipeline.hasMovie(item.movieId)));
+
+    const visitorRatings = Object.fromEntries(pipeline.movies.slice(0, 10).map((movie, i) => [movie.id, 1 + (i % 5)]));
+    assert.equal(pipeline.recommendForRatings(visitorRatings, { k: 3 }).length, 3);
+
+    const similar = pipeline.similarMovies(pipeline.movies[0].id, { k: 3 });
+    assert.equal(similar.length, 3);
+    assert.ok(similar.every((item) => item.movieId !== pipeline.movies[0].id));
+
+    const unit = pipeline.toUnitScore(pipeline.predict(userId, pipeline.movies[0].id));
+    assert.ok(unit >= 0 && unit <= 1);
+  });
+
+  it('leaves the data as it was when an update fails', async () => {
+    const before = { movies: pipeline.movies.length, ratings: pipeline.ratings.length, users: pipeline.userIds.length };
+    const newMovieId = Math.max(...pipeline.movies.map((movie) => movie.id)) + 1;
+
+    await assert.rejects(pipeline.update([{ userId: pipeline.userIds[0], movieId: newMovieId, rating: 9 }], {
+      newMovies: [{ id: newMovieId, title: 'Test Movie (2024)' }]
+    }), /Ratings must be between/);
+
+    assert.deepEqual(
+      { movies: pipeline.movies.length, ratings: pipeline.ratings.length, users: pipeline.userIds.length },
+      before
+    );
+    assert.equal(pipeline.hasMovie(newMovieId), false);
+  });
+
+  it('folds new ratings and a new movie into the model', async () => {
+    const movieCount = pipeline.movies.length;
+    const newMovieId = Math.max(...pipeline.movies.map((movie) => movie.id)) + 1;
+    const newUserId = Math.max(...pipeline.userIds) + 1;
+    const result = await pipeline.update([
+      { userId: newUserId, movieId: newMovieId, rating: 5, timestamp: 1 },
+      { userId: newUserId, movieId: pipeline.movies[0].id, rating: 4, timestamp: 2 }
+    ], {
+      newMovies: [{ id: newMovieId, title: 'Test Movie (2024)', genres: ['Drama'], year: 2024 }],
+      settings: pipeline.readSettings(FAST_SETTINGS)
+    });
+
+    assert.equal(result.movieCount, movieCount + 1);
+    assert.ok(pipeline.hasUser(newUserId));
+    assert.equal(pipeline.recommend(newUserId, { k: 3 }).length, 3);
+  });
+
+  it('trains a feature-aware BPR model', async () => {
+    const info = await pipeline.train(pipeline.readSettings({ ...FAST_SETTINGS, modelType: 'features', objective: 'bpr' }));
+    assert.equal(info.objective, 'bpr');
+    assert.deepEqual([...info.featureVocabulary.genders], ['F', 'M']);
+    assert.deepEqual([...info.featureVocabulary.occupations], ['educator', 'programmer', 'student']);
+    assert.equal(pipeline.recommend(lightestUserId(pipeline), { k: 3 }).length, 3);
+  });
+
+  it('releases its tensors on dispose', () => {
+    pipeline.dispose();
+    assert.equal(tf.memory().numTensors, tensorsBefore);
+  });
+});
@@ -0,0 +1,153 @@
+// Integration test for node/server.mjs: trains a small model on the fixture
+// data, serves it on an ephemeral port and exercises each route over HTTP.
+
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm } from 'node:fs/promises';
+import { once } from 'node:events';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it, before, after } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import * as tf from '@tensorflow/tfjs';
+
+import { createPipeline } from '../node/recommender.mjs';
+import { createFeedbackWriter, createRecommendationServer } from '../node/server.mjs';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+describe('createRecommendationServer', () => {
+  let pipeline;
+  let server;
+  let baseUrl;
+  const feedback = {};
+  const feedbackEvents = [];
+  let failNextWrite = false;
+
+  const request = async (pathname, init) => {
+    const response = await fetch(`${baseUrl}${pathname}`, init);
+    return { status: response.status, body: await response.json() };
+  };
+
+  const postRating = (userId, movieId, rating) => request(`/users/${userId}/ratings`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ movieId, rating })
+  });
+
+  before(async () => {
+    pipeline = await createPipeline({ tf });
+    await pipeline.loadData(FIXTURES);
+    await pipeline.train(pipeline.readSettings({ latentDim: 4, epochs: 1, sampleSize: 1000, validationFraction: 0 }));
+
+    server = createRecommendationServer(pipeline, {
+      feedback,
+      onFeedback: async (latest) => {
+        if (failNextWrite) {
+          failNextWrite = false;
+          throw new Error('disk full');
+        }
+        feedbackEvents.push(structuredClone(latest));
+      }
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.close();
+    await once(server, 'close');
+    pipeline.dispose();
+  });
+
+  it('recommends unseen movies for a known user', async () => {
+    const { status, body } = await request(`/users/${pipeline.userIds[1]}/recommendations?k=3`);
+    assert.equal(status, 200);
+    assert.equal(body.userId, pipeline.userIds[1]);
+    assert.equal(body.recommendations.length, 3);
+    body.recommendations.forEach((item) => {
+      assert.ok(pipeline.hasMovie(item.movieId));
+      assert.ok(item.rating >= 1 && item.rating <= 5);
+    });
+  });
+
+  it('predicts one score and lists similar movies', async () => {
+    const movieId = pipeline.movies[0].id;
+    const predicted = await request(`/predict?user=${pipeline.userIds[0]}&movie=${movieId}`);
+    assert.equal(predicted.status, 200);
+    assert.equal(predicted.body.title, pipeline.movies[0].title);
+    assert.equal(typeof predicted.body.score, 'number');
+
+    const similar = await request(`/movies/${movieId}/similar?k=2`);
+    assert.equal(similar.status, 200);
+    assert.equal(similar.body.similar.length, 2);
+  });
+
+  it('records ratings and recommends for a new user once they have enough', async () => {
+    const newUserId = Math.max(...pipeline.userIds) + 1;
+    const [first, second, third] = pipeline.movies.map((movie) => movie.id);
+
+    const posted = await postRating(newUserId, first, 5);
+    assert.equal(posted.status, 201);
+    assert.deepEqual(posted.body, { userId: newUserId, movieId: first, rating: 5, feedbackCount: 1 });
+    assert.deepEqual(feedbackEvents.at(-1), { [newUserId]: { [first]: 5 } });
+
+    const tooFew = await request(`/users/${newUserId}/recommendations`);
+    assert.equal(tooFew.status, 409);
+
+    await postRating(newUserId, second, 1);
+    await postRating(newUserId, third, 4);
+    const { status, body } = await request(`/users/${newUserId}/recommendations?k=3`);
+    assert.equal(status, 200);
+    assert.equal(body.recommendations.length, 3);
+    assert.ok(body.recommendations.every((item) => ![first, second, third].includes(item.movieId)));
+  });
+
+  it('drops a rating whose write failed', async () => {
+    const userId = pipeline.userIds[0];
+    const [first, second] = pipeline.movies.map((movie) => movie.id);
+    await postRating(userId, first, 3);
+
+    failNextWrite = true;
+    assert.equal((await postRating(userId, first, 5)).status, 500);
+    failNextWrite = true;
+    assert.equal((await postRating(userId, second, 5)).status, 500);
+
+    assert.deepEqual(feedback[userId], { [first]: 3 });
+  });
+
+  it('answers bad requests with an error status and message', async () => {
+    const cases = [
+      [await request('/users/abc/recommendations'), 400],
+      [await request('/users/%E0%A4/recommendations'), 400],
+      [await request(`/users/${pipeline.userIds[0]}/recommendations?k=0`), 400],
+      [await request('/users/999999/recommendations'), 404],
+      [await request('/movies/999999/similar'), 404],
+      [await request('/nowhere'), 404],
+      [await request('/predict?user=1&movie=1', { method: 'POST', body: '{}' }), 405],
+      [await postRating(1, pipeline.movies[0].id, 9), 400],
+      [await request('/users/1/ratings', { method: 'POST', body: 'not json' }), 400]
+    ];
+    cases.forEach(([{ status, body }, expected]) => {
+      assert.equal(status, expected);
+      assert.equal(typeof body.error, 'string');
+    });
+  });
+});
+
+describe('createFeedbackWriter', () => {
+  it('applies concurrent writes in order and leaves no temporary file', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'feedback-'));
+    try {
+      const file = path.join(directory, 'feedback.json');
+      const write = createFeedbackWriter(file);
+      await Promise.all([1, 2, 3, 4, 5].map((rating) => write({ 7: { 50: rating } })));
+
+      assert.deepEqual(JSON.parse(await readFile(file, 'utf8')), { 7: { 50: 5 } });
+      assert.deepEqual(await readdir(directory), ['feedback.json']);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
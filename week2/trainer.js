@@ -0,0 +1,83 @@
+// trainer.js is the page-side half of training-worker.js. It owns the worker,
+// forwards progress messages to the caller and turns the final message into a
+// promise. Only one training run can be active at a time.
+
+let trainingWorker = null;
+let pendingTraining = null;
+
+/**
+ * Train a model in the worker. `payload` holds typed arrays of dense user and
+ * movie indices plus rating values, the table sizes and the hyperparameters.
+ * Every typed array in it is transferred, so the caller must not reuse them.
+ * Resolves with serialised weights for `restoreWeights`.
+ */
+export function trainInWorker(payload, onProgress) {
+  if (pendingTraining) {
+    return Promise.reject(new Error('A training run is already in progress.'));
+  }
+
+  if (!trainingWorker) {
+    trainingWorker = new Worker(new URL('./training-worker.js', import.meta.url), { type: 'module' });
+  }
+
+  return new Promise((resolve, reject) => {
+    pendingTraining = { reject };
+
+    trainingWorker.onmessage = (event) => {
+      const message = event.data;
+
+      if (message.type === 'progress') {
+        onProgress(message);
+        return;
+      }
+
+      pendingTraining = null;
+      if (message.type === 'done') {
+        resolve(message.weights);
+      } else {
+        reject(new Error(message.message));
+      }
+    };
+
+    // Errors raised outside the message handler (e.g. TensorFlow.js failing to
+    // load) leave the worker unusable, so start a fresh one next time.
+    trainingWorker.onerror = (event) => {
+      event.preventDefault();
+      trainingWorker.terminate();
+      trainingWorker = null;
+      pendingTraining = null;
+      reject(new Error(event.message || 'The training worker stopped unexpectedly.'));
+    };
+
+    const transferables = Object.values(payload)
+      .filter((value) => ArrayBuffer.isView(value))
+      .map((array) => array.buffer);
+    trainingWorker.postMessage({ type: 'train', payload }, transferables);
+  });
+}
+
+/**
+ * Stop the active training run. Terminating the worker is the only way to
+ * interrupt model.fit mid-batch; a new worker is created for the next run.
+ * Returns false when nothing was training.
+ */
+export function cancelWorkerTraining() {
+  if (!pendingTraining) {
+    return false;
+  }
+
+  trainingWorker.terminate();
+  trainingWorker = null;
+
+  const { reject } = pendingTraining;
+  pendingTraining = null;
+
+  const error = new Error('Training was cancelled.');
+  error.name = 'AbortError';
+  reject(error);
+  return true;
+}
+
+export function isTrainingCancelled(error) {
+  return error instanceof Error && error.name === 'AbortError';
+}
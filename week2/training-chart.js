@@ -0,0 +1,180 @@
+// training-chart.js records the loss reported by each training run and plots
+// it: the current run's per-batch loss, and for every run kept in the history
+// its training and validation loss per epoch. Overlaying runs trained with
+// different settings shows at a glance which one learns faster, and where
+// validation loss turns upwards while training loss keeps falling.
+
+export const TRAINING_RUN_HISTORY_LIMIT = 6;
+const RUN_COLOURS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2'];
+const CHART_MARGIN = { top: 12, right: 16, bottom: 28, left: 48 };
+const CHART_GRID_LINES = 4;
+
+/**
+ * Start recording a run. `label` names it in the legend; `learningRate` is
+ * shown in the summary. `runNumber` picks its colour, which stays the same
+ * as older runs drop out of the history.
+ */
+export function createTrainingRun(label, learningRate, runNumber) {
+  return {
+    label,
+    learningRate,
+    colour: RUN_COLOURS[runNumber % RUN_COLOURS.length],
+    epochs: 0,
+    batchLosses: [],
+    epochLosses: [],
+    validationLosses: [],
+    bestEpoch: null,
+    stoppedEpoch: null
+  };
+}
+
+/**
+ * Add one worker progress message (see training-worker.js) to a run. Batch
+ * losses are placed at fractional epochs so both series share the x axis.
+ */
+export function recordTrainingProgress(run, progress) {
+  run.epochs = progress.epochs;
+
+  if (progress.stage === 'batch') {
+    run.batchLosses.push({
+      x: progress.epoch + (progress.batch + 1) / progress.batchesPerEpoch,
+      loss: progress.loss
+    });
+  } else if (progress.stage === 'epoch') {
+    run.epochLosses.push({ x: progress.epoch + 1, loss: progress.loss });
+    if (progress.validationLoss !== null) {
+      run.validationLosses.push({ x: progress.epoch + 1, loss: progress.validationLoss });
+    }
+  } else if (progress.stage === 'early-stop') {
+    run.stoppedEpoch = progress.epoch;
+    run.bestEpoch = progress.bestEpoch;
+  }
+}
+
+/**
+ * One line describing the run: learning rate, progress, the lowest
+ * validation loss and whether early stopping ended it.
+ */
+export function describeTrainingRun(run) {
+  const parts = [`Learning rate ${run.learningRate}`];
+
+  if (run.epochLosses.length > 0) {
+    const latest = run.epochLosses[run.epochLosses.length - 1];
+    parts.push(`epoch ${latest.x}/${run.epochs}, training loss ${latest.loss.toFixed(4)}`);
+  } else if (run.batchLosses.length > 0) {
+    parts.push(`training loss ${run.batchLosses[run.batchLosses.length - 1].loss.toFixed(4)}`);
+  }
+
+  if (run.validationLosses.length > 0) {
+    const best = run.validationLosses.reduce((a, b) => (b.loss < a.loss ? b : a));
+    parts.push(`best validation loss ${best.loss.toFixed(4)} (epoch ${best.x})`);
+  }
+
+  if (run.stoppedEpoch !== null) {
+    parts.push(`stopped early after epoch ${run.stoppedEpoch + 1}, kept the weights from epoch ${run.bestEpoch + 1}`);
+  }
+
+  return parts.join(' · ');
+}
+
+/**
+ * Plot the runs onto `canvas`. The last run is the current one and is the
+ * only one whose (noisy) batch losses are drawn. Solid lines are training
+ * loss, dashed lines validation loss.
+ */
+export function drawLossChart(canvas, runs) {
+  const context = canvas.getContext('2d');
+  const { width, height } = canvas;
+  context.clearRect(0, 0, width, height);
+
+  const current = runs[runs.length - 1];
+  const series = runs.flatMap((run) => [run.epochLosses, run.validationLosses]);
+  if (current) {
+    series.push(current.batchLosses);
+  }
+  const points = series.flat();
+  if (points.length === 0) {
+    return;
+  }
+
+  const maxX = Math.max(1, ...runs.map((run) => run.epochs));
+  let minY = Infinity;
+  let maxY = -Infinity;
+  points.forEach(({ loss }) => {
+    minY = Math.min(minY, loss);
+    maxY = Math.max(maxY, loss);
+  });
+  if (maxY === minY) {
+    maxY = minY + 1;
+  }
+
+  const plotWidth = width - CHART_MARGIN.left - CHART_MARGIN.right;
+  const plotHeight = height - CHART_MARGIN.top - CHART_MARGIN.bottom;
+  const toX = (x) => CHART_MARGIN.left + (x / maxX) * plotWidth;
+  const toY = (loss) => CHART_MARGIN.top + (1 - (loss - minY) / (maxY - minY)) * plotHeight;
+
+  // Horizontal grid lines with their loss values, and the epoch numbers.
+  context.strokeStyle = 'rgba(15, 23, 42, 0.1)';
+  context.fillStyle = '#4c6a9c';
+  context.font = '11px sans-serif';
+  context.lineWidth = 1;
+  context.setLineDash([]);
+  for (let line = 0; line <= CHART_GRID_LINES; line += 1) {
+    const loss = minY + ((maxY - minY) * line) / CHART_GRID_LINES;
+    const y = toY(loss);
+    context.beginPath();
+    context.moveTo(CHART_MARGIN.left, y);
+    context.lineTo(width - CHART_MARGIN.right, y);
+    context.stroke();
+    context.textAlign = 'right';
+    context.fillText(loss.toFixed(3), CHART_MARGIN.left - 6, y + 4);
+  }
+  context.textAlign = 'center';
+  const epochStep = Math.ceil(maxX / 10);
+  for (let epoch = 0; epoch <= maxX; epoch += epochStep) {
+    context.fillText(String(epoch), toX(epoch), height - 8);
+  }
+
+  const drawLine = (linePoints, colour, { dashed = false, alpha = 1, lineWidth = 2 } = {}) => {
+    if (linePoints.length === 0) {
+      return;
+    }
+    context.strokeStyle = colour;
+    context.globalAlpha = alpha;
+    context.lineWidth = lineWidth;
+    context.setLineDash(dashed ? [6, 4] : []);
+    context.beginPath();
+    linePoints.forEach(({ x, loss }, i) => {
+      if (i === 0) {
+        context.moveTo(toX(x), toY(loss));
+      } else {
+        context.lineTo(toX(x), toY(loss));
+      }
+    });
+    context.stroke();
+  };
+
+  runs.forEach((run) => {
+    const isCurrent = run === current;
+    if (isCurrent) {
+      drawLine(run.batchLosses, run.colour, { alpha: 0.3, lineWidth: 1 });
+    }
+    drawLine(run.epochLosses, run.colour, { alpha: isCurrent ? 1 : 0.6 });
+    drawLine(run.validationLosses, run.colour, { dashed: true, alpha: isCurrent ? 1 : 0.6 });
+  });
+  context.globalAlpha = 1;
+  context.setLineDash([]);
+}
+
+export function renderTrainingRunLegend(container, runs) {
+  container.innerHTML = '';
+
+  runs.forEach((run) => {
+    const item = document.createElement('li');
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch';
+    swatch.style.backgroundColor = run.colour;
+    item.append(swatch, run.label);
+    container.appendChild(item);
+  });
+}
@@ -0,0 +1,28 @@
+// training-worker.js runs model.fit off the main thread so the page stays
+// responsive while the embeddings are learned. The page posts a `train`
+// message with a training payload; the worker answers with the `progress`
+// messages from `train` (see training.js), then a `done` message carrying the
+// trained weights (or an `error` message if training fails). Cancelling is
+// handled by the page terminating this worker.
+//
+// It is started as a module worker. The TensorFlow.js bundle is imported
+// first for its side effect: it defines the global `tf` the modules use.
+import 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@latest/dist/tf.min.js';
+import { train } from './training.js';
+
+self.onmessage = async (event) => {
+  const { type, payload } = event.data;
+  if (type !== 'train') {
+    return;
+  }
+
+  try {
+    const weights = await train(payload, (message) => self.postMessage(message));
+    self.postMessage(
+      { type: 'done', weights },
+      weights.map((weight) => weight.data.buffer)
+    );
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,249 @@
+// training.js fits a model to a training payload built by
+// buildTrainingPayload (pipeline.js): the dense rating arrays,
+// hyperparameters and, for the feature-aware model, the user and movie
+// feature tables. The page runs it in training-worker.js so model.fit stays
+// off the main thread; Node calls it directly (see node/recommender.mjs).
+
+import {
+  createModelOfType,
+  createPairwiseModel,
+  createSampleWeightedModel,
+  getObjectiveLoss,
+  getWeightedObjectiveLoss,
+  restoreWeights,
+  serialiseWeights
+} from './model.js';
+
+/**
+ * Train a model on `payload` and resolve with its serialised weights (see
+ * `serialiseWeights`). `onProgress` receives a `progress` message per batch
+ * and epoch, plus one when early stopping ends the run. A payload with
+ * `initialWeights` continues from those weights instead of a fresh model.
+ */
+export async function train(payload, onProgress = () => {}) {
+  const { numUsers, numMovies, config } = payload;
+  const { epochs, batchSize, learningRate, objective, validationFraction, earlyStoppingPatience } = config;
+
+  const model = createModelOfType(config.modelType, numUsers, numMovies, config, payload);
+  // Online updates (see online-updates.js) fine-tune an existing model.
+  if (payload.initialWeights) {
+    restoreWeights(model, payload.initialWeights);
+  }
+  // BPR compares two movies per example, so it trains a wrapper that shares
+  // the scoring model's layers; the explicit and BCE modes train it directly.
+  const objectiveModel = objective === 'bpr' ? createPairwiseModel(model) : model;
+
+  const { inputs, target, sampleWeights, sampleCount } = buildTrainingTensors(payload);
+
+  // Recency weights (see `sampleWeights` in the payload) need one more wrapper.
+  const isWeighted = Boolean(payload.sampleWeights);
+  const trainingModel = isWeighted ? createSampleWeightedModel(objectiveModel) : objectiveModel;
+  if (isWeighted) {
+    inputs.push(tf.tensor2d(sampleWeights, [sampleCount, 1], 'float32'));
+  }
+  const trainingTarget = isWeighted
+    ? tf.tidy(() => tf.concat([target, tf.zeros([sampleCount, 1])], 1))
+    : target;
+
+  // fit's validationSplit holds out the last examples, but the implicit
+  // objectives append all their negatives at the end. Shuffling first makes
+  // the validation examples a random sample of the training data.
+  const [shuffledInputs, shuffledTarget] = tf.tidy(() => {
+    const order = tf.tensor1d(Int32Array.from(tf.util.createShuffledIndices(sampleCount)), 'int32');
+    return [inputs.map((input) => tf.gather(input, order)), tf.gather(trainingTarget, order)];
+  });
+  tf.dispose([...inputs, target, trainingTarget]);
+
+  // compile does not take ownership of an optimizer it is handed, so its
+  // state has to be disposed along with the model below.
+  const optimizer = tf.train.adam(learningRate);
+  trainingModel.compile({
+    optimizer,
+    loss: isWeighted ? getWeightedObjectiveLoss(objective) : getObjectiveLoss(objective)
+  });
+
+  const validationCount = Math.floor(sampleCount * validationFraction);
+  const batchesPerEpoch = Math.ceil((sampleCount - validationCount) / batchSize);
+  // onBatchEnd only receives the batch number, so remember the current epoch.
+  let currentEpoch = 0;
+
+  // Early stopping watches the validation loss, or the training loss when
+  // nothing is held out, and keeps a copy of the best epoch's weights.
+  // tf.callbacks.earlyStopping cannot restore them, hence the hand-rolled one.
+  const monitored = validationCount > 0 ? 'val_loss' : 'loss';
+  let bestLoss = Infinity;
+  let bestEpoch = -1;
+  let bestWeights = null;
+
+  try {
+    await trainingModel.fit(shuffledInputs, shuffledTarget, {
+      epochs,
+      batchSize,
+      shuffle: true,
+      validationSplit: validationCount > 0 ? validationFraction : 0,
+      callbacks: {
+        onBatchEnd: (batch, logs) => {
+          onProgress({
+            type: 'progress',
+            stage: 'batch',
+            epoch: currentEpoch,
+            epochs,
+            batch,
+            batchesPerEpoch,
+            learningRate,
+            loss: logs.loss
+          });
+        },
+        onEpochBegin: (epoch) => {
+          currentEpoch = epoch;
+        },
+        onEpochEnd: (epoch, logs) => {
+          onProgress({
+            type: 'progress',
+            stage: 'epoch',
+            epoch,
+            epochs,
+            learningRate,
+            loss: logs.loss,
+            validationLoss: logs.val_loss ?? null
+          });
+
+          if (earlyStoppingPatience === 0) {
+            return;
+          }
+          if (logs[monitored] < bestLoss) {
+            bestLoss = logs[monitored];
+            bestEpoch = epoch;
+            bestWeights = serialiseWeights(model);
+          } else if (epoch - bestEpoch >= earlyStoppingPatience) {
+            trainingModel.stopTraining = true;
+            onProgress({ type: 'progress', stage: 'early-stop', epoch, epochs, bestEpoch, bestLoss });
+          }
+        }
+      }
+    });
+
+    return bestWeights ?? serialiseWeights(model);
+  } finally {
+    tf.dispose([...shuffledInputs, shuffledTarget]);
+    optimizer.dispose();
+    // Wrappers hold extra references to the model they apply, which can keep
+    // its weights alive after dispose, so free the variables themselves too.
+    const variables = model.getWeights();
+    trainingModel.dispose();
+    tf.dispose(variables);
+  }
+}
+
+/**
+ * Turn the posted arrays into model inputs and targets for the objective.
+ * Explicit mode regresses the star ratings. The implicit modes treat every
+ * rating as a positive interaction and pair it with `negatives` randomly
+ * sampled movies the user never rated: BCE labels positives 1 and negatives 0,
+ * while BPR feeds (user, positive, negative) triples to the pairwise model.
+ * When the payload has one `sampleWeights` entry per rating, every example
+ * built from a rating (including its negatives) gets that rating's weight.
+ */
+function buildTrainingTensors({ userIndices, movieIndices, values, sampleWeights, numMovies, ratedUserIndices, ratedMovieIndices, config }) {
+  const positiveCount = values.length;
+
+  if (config.objective === 'explicit') {
+    return {
+      inputs: [
+        tf.tensor2d(userIndices, [positiveCount, 1], 'int32'),
+        tf.tensor2d(movieIndices, [positiveCount, 1], 'int32')
+      ],
+      target: tf.tensor2d(values, [positiveCount, 1], 'float32'),
+      sampleWeights,
+      sampleCount: positiveCount
+    };
+  }
+
+  const ratedByUser = new Map();
+  for (let i = 0; i < ratedUserIndices.length; i += 1) {
+    if (!ratedByUser.has(ratedUserIndices[i])) {
+      ratedByUser.set(ratedUserIndices[i], new Set());
+    }
+    ratedByUser.get(ratedUserIndices[i]).add(ratedMovieIndices[i]);
+  }
+
+  const { negatives } = config;
+  const pairCount = positiveCount * negatives;
+  const pairUsers = new Int32Array(pairCount);
+  const pairPositives = new Int32Array(pairCount);
+  const pairNegatives = new Int32Array(pairCount);
+  const pairWeights = sampleWeights ? new Float32Array(pairCount) : null;
+
+  for (let i = 0; i < positiveCount; i += 1) {
+    const rated = ratedByUser.get(userIndices[i]) ?? new Set();
+    for (let n = 0; n < negatives; n += 1) {
+      const pair = i * negatives + n;
+      pairUsers[pair] = userIndices[i];
+      pairPositives[pair] = movieIndices[i];
+      pairNegatives[pair] = sampleUnratedMovie(rated, numMovies);
+      if (pairWeights) {
+        pairWeights[pair] = sampleWeights[i];
+      }
+    }
+  }
+
+  if (config.objective === 'bpr') {
+    return {
+      inputs: [
+        tf.tensor2d(pairUsers, [pairCount, 1], 'int32'),
+        tf.tensor2d(pairPositives, [pairCount, 1], 'int32'),
+        tf.tensor2d(pairNegatives, [pairCount, 1], 'int32')
+      ],
+      // The BPR loss ignores its targets, but fit still needs one per example
+      // shaped like the pairwise model's [positive, negative] output.
+      target: tf.ones([pairCount, 2]),
+      sampleWeights: pairWeights,
+      sampleCount: pairCount
+    };
+  }
+
+  // Pointwise BCE: every positive once, followed by all sampled negatives.
+  const sampleCount = positiveCount + pairCount;
+  const users = new Int32Array(sampleCount);
+  const moviesForSamples = new Int32Array(sampleCount);
+  const labels = new Float32Array(sampleCount);
+
+  users.set(userIndices);
+  moviesForSamples.set(movieIndices);
+  labels.fill(1, 0, positiveCount);
+  users.set(pairUsers, positiveCount);
+  moviesForSamples.set(pairNegatives, positiveCount);
+
+  let weights = null;
+  if (sampleWeights) {
+    weights = new Float32Array(sampleCount);
+    weights.set(sampleWeights);
+    weights.set(pairWeights, positiveCount);
+  }
+
+  return {
+    inputs: [
+      tf.tensor2d(users, [sampleCount, 1], 'int32'),
+      tf.tensor2d(moviesForSamples, [sampleCount, 1], 'int32')
+    ],
+    target: tf.tensor2d(labels, [sampleCount, 1], 'float32'),
+    sampleWeights: weights,
+    sampleCount
+  };
+}
+
+/**
+ * Draw a random movie index the user has not rated. Heavy raters may have
+ * seen most of the catalogue, so give up after a few attempts and accept the
+ * last draw rather than looping forever.
+ */
+function sampleUnratedMovie(rated, numMovies) {
+  let candidate = 0;
+  for (let attempt = 0; attempt < 20; attempt += 1) {
+    candidate = Math.floor(Math.random() * numMovies);
+    if (!rated.has(candidate)) {
+      break;
+    }
+  }
+  return candidate;
+}
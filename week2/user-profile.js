@@ -0,0 +1,192 @@
+// user-profile.js summarises one user from the `ratings` table: what they
+// rated, how their stars are spread, which genres they rate above or below
+// their own average, and how far the model's predictions are from their
+// actual ratings. Sorting their movies by prediction error is the quickest
+// way to see where, and for whom, the model fits badly.
+
+import { getUserRatingRows, movies, ratings } from './data.js';
+
+// Longer histories are cut to this many movies; the summary still covers all.
+const PROFILE_MOVIE_LIMIT = 50;
+
+/**
+ * Collect one user's ratings and statistics. `scores` holds the model's raw
+ * score per entry in `movies` (see `scoreAllMovies`), or is null. When
+ * `predictsRatings` is false the scores are not on the star scale, so no
+ * error statistics are computed and the movies are listed newest first.
+ */
+export function summariseUserRatings(userIndex, scores, predictsRatings) {
+  const entries = getUserRatingRows(userIndex).map((row) => {
+    const movieIndex = ratings.movieIndices[row];
+    const rating = ratings.values[row];
+    const score = scores ? scores[movieIndex] : null;
+    return {
+      movieIndex,
+      rating,
+      timestamp: ratings.timestamps[row],
+      score,
+      // Predictions are clamped to the star range before they are shown, so
+      // the error is measured against the clamped value as well.
+      error: predictsRatings && score !== null ? Math.min(5, Math.max(1, score)) - rating : null
+    };
+  });
+
+  const count = entries.length;
+  const mean = count > 0 ? entries.reduce((sum, entry) => sum + entry.rating, 0) / count : NaN;
+
+  const distribution = new Map();
+  entries.forEach(({ rating }) => distribution.set(rating, (distribution.get(rating) ?? 0) + 1));
+
+  const byGenre = new Map();
+  entries.forEach(({ movieIndex, rating }) => {
+    movies[movieIndex].genres.forEach((genre) => {
+      const totals = byGenre.get(genre) ?? { count: 0, sum: 0 };
+      totals.count += 1;
+      totals.sum += rating;
+      byGenre.set(genre, totals);
+    });
+  });
+  const genres = [...byGenre]
+    .map(([genre, totals]) => ({
+      genre,
+      count: totals.count,
+      mean: totals.sum / totals.count,
+      affinity: totals.sum / totals.count - mean
+    }))
+    .sort((a, b) => b.count - a.count || a.genre.localeCompare(b.genre));
+
+  let errors = null;
+  if (predictsRatings && scores && count > 0) {
+    const squared = entries.reduce((sum, entry) => sum + entry.error * entry.error, 0);
+    const absolute = entries.reduce((sum, entry) => sum + Math.abs(entry.error), 0);
+    errors = { rmse: Math.sqrt(squared / count), mae: absolute / count };
+  }
+
+  entries.sort(errors
+    ? (a, b) => Math.abs(b.error) - Math.abs(a.error)
+    : (a, b) => b.timestamp - a.timestamp);
+
+  return {
+    count,
+    mean,
+    distribution: [...distribution].sort((a, b) => b[0] - a[0]),
+    genres,
+    errors,
+    entries
+  };
+}
+
+/**
+ * Render a summary from `summariseUserRatings`. `formatScore` turns a raw
+ * model score into display text, as in the recommendation lists.
+ */
+export function renderUserProfile(container, userId, summary, formatScore) {
+  container.innerHTML = '';
+
+  const heading = document.createElement('strong');
+  heading.textContent = `User ${userId}`;
+  container.appendChild(heading);
+
+  const overview = document.createElement('p');
+  overview.textContent = summary.count === 0
+    ? 'This user has not rated any movies.'
+    : `${summary.count} ratings, average ${summary.mean.toFixed(2)} stars.`;
+  if (summary.errors) {
+    overview.textContent += ` The model's RMSE on these ratings is ${summary.errors.rmse.toFixed(3)}`
+      + ` (MAE ${summary.errors.mae.toFixed(3)}); most of them were in its training data.`;
+  }
+  container.appendChild(overview);
+
+  if (summary.count === 0) {
+    return;
+  }
+
+  appendProfileSection(container, 'Rating distribution', renderRatingDistribution(summary));
+  appendProfileSection(container, 'Genre affinity (average rating per genre, compared with their overall average)', createProfileTable(
+    ['Genre', 'Ratings', 'Average', 'Compared with overall'],
+    summary.genres.map(({ genre, count, mean, affinity }) => [
+      genre,
+      String(count),
+      mean.toFixed(2),
+      `${affinity < 0 ? '−' : '+'}${Math.abs(affinity).toFixed(2)}`
+    ])
+  ));
+
+  const shown = summary.entries.slice(0, PROFILE_MOVIE_LIMIT);
+  const order = summary.errors ? 'largest prediction error first' : 'most recent first';
+  const title = summary.entries.length > shown.length
+    ? `Rated movies (${order}, ${shown.length} of ${summary.entries.length})`
+    : `Rated movies (${order})`;
+  appendProfileSection(container, title, createProfileTable(
+    ['Movie', 'Rated', 'Model', 'Error', 'Date'],
+    shown.map((entry) => [
+      movies[entry.movieIndex].title,
+      `${entry.rating} / 5`,
+      entry.score === null ? '—' : formatScore(entry.score),
+      entry.error === null ? '—' : `${entry.error < 0 ? '−' : '+'}${Math.abs(entry.error).toFixed(2)}`,
+      entry.timestamp > 0 ? new Date(entry.timestamp * 1000).toISOString().slice(0, 10) : '—'
+    ])
+  ));
+}
+
+function appendProfileSection(container, title, content) {
+  const heading = document.createElement('p');
+  heading.className = 'profile-heading';
+  heading.textContent = title;
+  container.append(heading, content);
+}
+
+/**
+ * One horizontal bar per rating value, scaled to the most common one.
+ */
+function renderRatingDistribution(summary) {
+  const chart = document.createElement('div');
+  chart.className = 'rating-distribution';
+  const largest = Math.max(...summary.distribution.map(([, count]) => count));
+
+  summary.distribution.forEach(([rating, count]) => {
+    const label = document.createElement('span');
+    label.textContent = `${rating} ★`;
+
+    const track = document.createElement('span');
+    track.className = 'distribution-track';
+    const bar = document.createElement('span');
+    bar.className = 'distribution-bar';
+    bar.style.width = `${(count / largest) * 100}%`;
+    track.appendChild(bar);
+
+    const value = document.createElement('span');
+    value.className = 'score';
+    value.textContent = `${count} (${Math.round((count / summary.count) * 100)}%)`;
+
+    chart.append(label, track, value);
+  });
+
+  return chart;
+}
+
+function createProfileTable(headers, rows) {
+  const table = document.createElement('table');
+  table.className = 'metrics-table';
+
+  const headRow = document.createElement('tr');
+  headers.forEach((header) => {
+    const cell = document.createElement('th');
+    cell.textContent = header;
+    headRow.appendChild(cell);
+  });
+  table.createTHead().appendChild(headRow);
+
+  const body = table.createTBody();
+  rows.forEach((values) => {
+    const row = document.createElement('tr');
+    values.forEach((value) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+
+  return table;
+}
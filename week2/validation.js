@@ -0,0 +1,113 @@
+// validation.js describes what the loaders in data.js found wrong with a
+// dataset. The loaders used to skip bad lines without a word; now every line
+// they skip, rating they drop and title they cannot trust is counted here,
+// with a few examples, so a broken file shows up as a report instead of as a
+// mysteriously smaller dataset. Strict mode turns the report into an error.
+//
+// This file is loaded before data.js, which creates its report at load time.
+
+// The checks in report order. `effect` says what the loader did about it;
+// `failsStrict` is false only for findings that lose no data.
+const DATA_QUALITY_CHECKS = [
+  { id: 'malformed-movie', label: 'Malformed movie lines', effect: 'skipped', failsStrict: true },
+  { id: 'duplicate-movie', label: 'Duplicate movie IDs', effect: 'later lines skipped', failsStrict: true },
+  { id: 'genre-flags', label: 'u.item lines without 19 genre flags', effect: 'genres read from the flags present', failsStrict: true },
+  { id: 'title-encoding', label: 'Titles with undecodable or double-encoded characters', effect: 'kept as read', failsStrict: true },
+  { id: 'latin-1-title', label: 'Titles with Latin-1 characters', effect: 'decoded as Windows-1252 because the file is not UTF-8', failsStrict: false },
+  { id: 'malformed-rating', label: 'Malformed rating lines', effect: 'skipped', failsStrict: true },
+  { id: 'out-of-range-rating', label: 'Ratings outside 0.5–5 stars', effect: 'skipped', failsStrict: true },
+  { id: 'unknown-movie', label: 'Ratings for movies missing from the movie list', effect: 'skipped', failsStrict: true },
+  { id: 'duplicate-rating', label: 'Duplicate user/movie pairs', effect: 'only the most recent rating kept', failsStrict: true },
+  { id: 'users-file', label: 'User demographics file could not be read', effect: 'the feature-aware model sees every user as unknown', failsStrict: false }
+];
+const DATA_QUALITY_EXAMPLE_LIMIT = 5;
+const DATA_QUALITY_EXAMPLE_LENGTH = 80;
+
+export function createDataQualityReport() {
+  return { movieLines: 0, ratingLines: 0, issues: {} };
+}
+
+/**
+ * Count one occurrence of check `checkId`. `example` is `{ line, text }`,
+ * with the 1-based line number in its file, or null when the problem is not
+ * tied to a single line.
+ */
+export function recordDataIssue(report, checkId, { line = null, text }) {
+  const issue = report.issues[checkId] ?? { count: 0, examples: [] };
+  report.issues[checkId] = issue;
+  issue.count += 1;
+  if (issue.examples.length < DATA_QUALITY_EXAMPLE_LIMIT) {
+    issue.examples.push({ line, text: text.length > DATA_QUALITY_EXAMPLE_LENGTH ? `${text.slice(0, DATA_QUALITY_EXAMPLE_LENGTH)}…` : text });
+  }
+}
+
+/**
+ * The checks that found something, in report order, as
+ * `{ check, count, examples }`.
+ */
+export function summariseDataQualityReport(report) {
+  return DATA_QUALITY_CHECKS
+    .filter((check) => report.issues[check.id])
+    .map((check) => ({ check, ...report.issues[check.id] }));
+}
+
+/**
+ * Throw listing every finding that strict mode does not accept.
+ */
+export function assertDataQuality(report) {
+  const failures = summariseDataQualityReport(report).filter(({ check }) => check.failsStrict);
+  if (failures.length > 0) {
+    const details = failures.map(({ check, count }) => `${check.label.toLowerCase()}: ${count}`).join('; ');
+    throw new Error(`Strict mode rejected the dataset (${details}).`);
+  }
+}
+
+export function renderDataQualityReport(container, report) {
+  container.innerHTML = '';
+  const findings = summariseDataQualityReport(report);
+
+  const overview = document.createElement('p');
+  overview.textContent = `Checked ${report.movieLines} movie lines and ${report.ratingLines} rating lines. `;
+  overview.textContent += findings.length === 0
+    ? 'No problems found.'
+    : `${findings.reduce((sum, { count }) => sum + count, 0)} findings, listed below with up to ${DATA_QUALITY_EXAMPLE_LIMIT} examples each.`;
+  container.appendChild(overview);
+
+  if (findings.length === 0) {
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'metrics-table';
+  const headRow = document.createElement('tr');
+  ['Check', 'Count', 'What happened', 'Examples'].forEach((header) => {
+    const cell = document.createElement('th');
+    cell.textContent = header;
+    headRow.appendChild(cell);
+  });
+  table.createTHead().appendChild(headRow);
+
+  const body = table.createTBody();
+  findings.forEach(({ check, count, examples }) => {
+    const row = document.createElement('tr');
+    [check.label, String(count), check.effect].forEach((value) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+
+    const exampleCell = document.createElement('td');
+    const list = document.createElement('ul');
+    list.className = 'data-quality-examples';
+    examples.forEach(({ line, text }) => {
+      const item = document.createElement('li');
+      item.textContent = line === null ? text : `Line ${line}: ${text}`;
+      list.appendChild(item);
+    });
+    exampleCell.appendChild(list);
+    row.appendChild(exampleCell);
+    body.appendChild(row);
+  });
+
+  container.appendChild(table);
+}
@@ -1,43 +1,181 @@
+import { renderDataQualityReport, summariseDataQualityReport } from '../week2/validation.js';
+import {
+    DATASET_SOURCES,
+    dataQualityReport,
+    loadData,
+    movieIndexById,
+    movies,
+    numMovies,
+    numUsers,
+    ratings,
+    userIds,
+    userIndexById
+} from '../week2/data.js';
+import { buildTrainedModel, buildTrainingPayload } from '../week2/pipeline.js';
+import { cancelWorkerTraining, isTrainingCancelled, trainInWorker } from '../week2/trainer.js';
+
 // Global variables
 let model;
 let isTraining = false;
 
+// Trained models are cached in IndexedDB together with a hash of the data they
+// were trained on, so reloading the page does not retrain from scratch
+const MODEL_STORAGE_URL = 'indexeddb://week3-movie-recommender';
+let datasetHash = '';
+
+// Training settings shown in the form. They are mirrored into the query string
+// (e.g. ?latentDim=20&epochs=5) so a link reproduces the same run.
+const DEFAULT_SETTINGS = { latentDim: 10, epochs: 10, batchSize: 64, learningRate: 0.001, l2: 0 };
+const SETTING_FIELDS = [
+    { key: 'latentDim', inputId: 'latent-dim-input', label: 'Latent dimension', min: 1, max: 256, integer: true },
+    { key: 'epochs', inputId: 'epochs-input', label: 'Epochs', min: 1, max: 100, integer: true },
+    { key: 'batchSize', inputId: 'batch-size-input', label: 'Batch size', min: 1, max: 4096, integer: true },
+    { key: 'learningRate', inputId: 'learning-rate-input', label: 'Learning rate', min: 0.00001, max: 1, integer: false },
+    // 0 turns the penalty on the embeddings off
+    { key: 'l2', inputId: 'l2-input', label: 'L2 regularisation', min: 0, max: 1, integer: false }
+];
+let trainingSettings = { ...DEFAULT_SETTINGS };
+
+// Value of the dataset dropdown's "Local files..." entry
+const LOCAL_DATASET_ID = 'local';
+
 // Initialize application when window loads
 window.onload = async function() {
+    trainingSettings = readSettingsFromQuery();
+    fillSettingsForm();
+    populateDatasetDropdown();
+    
+    document.getElementById('dataset-select').addEventListener('change', updateDatasetFilePicker);
+    document.getElementById('load-dataset-btn').addEventListener('click', loadSelectedDataset);
+    document.getElementById('predict-btn').addEventListener('click', predictRating);
+    document.getElementById('retrain-btn').addEventListener('click', trainModel);
+    document.getElementById('cancel-btn').addEventListener('click', cancelTraining);
+    
+    await initialiseDataset(DATASET_SOURCES[0]);
+};
+
+// Load a dataset with the shared loader in week2/data.js, then reuse the saved
+// model when it was trained on this data or train a new one
+async function initialiseDataset(source) {
+    document.getElementById('predict-btn').disabled = true;
+    document.getElementById('retrain-btn').disabled = true;
+    document.getElementById('load-dataset-btn').disabled = true;
+    
     try {
         // Update status
-        updateStatus('Loading MovieLens data...');
+        updateStatus(`Loading ${source.label} data...`);
         
-        // Load data first
-        await loadData();
+        // Load data first; the ratings report their progress as they stream in
+        try {
+            await loadData(source, ({ loadedBytes, totalBytes }) => {
+                updateStatus(totalBytes
+                    ? `Loading ${source.label} ratings... ${Math.round((loadedBytes / totalBytes) * 100)}%`
+                    : `Loading ${source.label} ratings... ${(loadedBytes / 1e6).toFixed(1)} MB`);
+            // This page's model has no use for the users file's demographics
+            }, { strict: document.getElementById('strict-data-input').checked, demographics: false });
+        } finally {
+            // Shown even when strict mode rejects the data, to say why
+            showDataQualityReport();
+        }
+        
+        // A model trained on other data has the wrong embedding sizes for this
+        // one. A failed load keeps the previous data, so it keeps its model too
+        if (model) {
+            model.dispose();
+            model = undefined;
+        }
         
         // Populate dropdowns
         populateUserDropdown();
         populateMovieDropdown();
         
-        // Update status and start training
-        updateStatus('Data loaded. Training model...');
+        datasetHash = computeDatasetHash();
         
-        // Train the model
-        await trainModel();
+        // Reuse the saved model when the data has not changed, otherwise train
+        if (await restoreSavedModel()) {
+            updateStatus('Restored saved model. Click "Retrain Model" to train again.');
+            document.getElementById('predict-btn').disabled = false;
+            document.getElementById('retrain-btn').disabled = false;
+        } else {
+            updateStatus('Data loaded. Training model...');
+            await trainModel();
+        }
         
     } catch (error) {
         console.error('Initialization error:', error);
         updateStatus('Error initializing application: ' + error.message, true);
+    } finally {
+        document.getElementById('load-dataset-btn').disabled = false;
+        document.getElementById('retrain-btn').disabled = ratings.length === 0;
+        document.getElementById('predict-btn').disabled = !model;
     }
-};
+}
+
+// Fill the "Data Quality" panel with what week2/validation.js recorded while
+// loading, and open it when lines were lost
+function showDataQualityReport() {
+    const panel = document.getElementById('data-quality-panel');
+    const findings = summariseDataQualityReport(dataQualityReport);
+    const total = findings.reduce((sum, { count }) => sum + count, 0);
+    
+    renderDataQualityReport(document.getElementById('data-quality-report'), dataQualityReport);
+    panel.querySelector('summary').textContent = total > 0 ? `Data Quality (${total} findings)` : 'Data Quality';
+    if (findings.some(({ check }) => check.failsStrict)) panel.open = true;
+}
+
+function populateDatasetDropdown() {
+    const select = document.getElementById('dataset-select');
+    select.innerHTML = '';
+    
+    DATASET_SOURCES.forEach(source => {
+        const option = document.createElement('option');
+        option.value = source.id;
+        option.textContent = source.label;
+        select.appendChild(option);
+    });
+    
+    const localOption = document.createElement('option');
+    localOption.value = LOCAL_DATASET_ID;
+    localOption.textContent = 'Local files...';
+    select.appendChild(localOption);
+}
+
+function updateDatasetFilePicker() {
+    const isLocal = document.getElementById('dataset-select').value === LOCAL_DATASET_ID;
+    document.getElementById('dataset-files-group').hidden = !isLocal;
+}
+
+async function loadSelectedDataset() {
+    const selectedId = document.getElementById('dataset-select').value;
+    
+    if (selectedId !== LOCAL_DATASET_ID) {
+        await initialiseDataset(DATASET_SOURCES.find(source => source.id === selectedId));
+        return;
+    }
+    
+    // The ratings file is recognised by name (u.data, ratings.dat, ratings.csv); the other is the movie list
+    const files = Array.from(document.getElementById('dataset-files').files);
+    const ratingsFile = files.find(file => /rating|u\.data/i.test(file.name));
+    const itemsFile = files.find(file => file !== ratingsFile);
+    if (files.length !== 2 || !ratingsFile || !itemsFile) {
+        updateStatus('Choose the movies file and the ratings file (named u.data, ratings.dat or ratings.csv).', true);
+        return;
+    }
+    
+    await initialiseDataset({ label: `${itemsFile.name} + ${ratingsFile.name}`, items: itemsFile, ratings: ratingsFile });
+}
 
 function populateUserDropdown() {
     const userSelect = document.getElementById('user-select');
     userSelect.innerHTML = '';
     
-    // Add users (assuming user IDs are sequential from 1 to numUsers)
-    for (let i = 1; i <= numUsers; i++) {
+    // Add users by MovieLens ID; the model sees their dense index from userIndexById
+    userIds.forEach(id => {
         const option = document.createElement('option');
-        option.value = i;
-        option.textContent = `User ${i}`;
+        option.value = id;
+        option.textContent = `User ${id}`;
         userSelect.appendChild(option);
-    }
+    });
 }
 
 function populateMovieDropdown() {
@@ -48,103 +186,182 @@ function populateMovieDropdown() {
     movies.forEach(movie => {
         const option = document.createElement('option');
         option.value = movie.id;
-        option.textContent = movie.year ? `${movie.title} (${movie.year})` : movie.title;
+        option.textContent = movie.title;
         movieSelect.appendChild(option);
     });
 }
 
-function createModel(numUsers, numMovies, latentDim = 10) {
-    // User input
-    const userInput = tf.input({shape: [1], name: 'userInput'});
-    
-    // Movie input  
-    const movieInput = tf.input({shape: [1], name: 'movieInput'});
-    
-    // User embedding
-    const userEmbedding = tf.layers.embedding({
-        inputDim: numUsers + 1,
-        outputDim: latentDim,
-        name: 'userEmbedding'
-    }).apply(userInput);
-    
-    // Movie embedding
-    const movieEmbedding = tf.layers.embedding({
-        inputDim: numMovies + 1,
-        outputDim: latentDim, 
-        name: 'movieEmbedding'
-    }).apply(movieInput);
-    
-    // Reshape embeddings to flatten them
-    const userVector = tf.layers.flatten().apply(userEmbedding);
-    const movieVector = tf.layers.flatten().apply(movieEmbedding);
-    
-    // Dot product of user and movie vectors
-    const dotProduct = tf.layers.dot({axes: 1}).apply([userVector, movieVector]);
+// Numbers within the field's range (whole numbers for integer fields), otherwise null
+function parseSetting(field, rawValue) {
+    if (rawValue === null || String(rawValue).trim() === '') return null;
+    const value = Number(rawValue);
+    if (!Number.isFinite(value) || (field.integer && !Number.isInteger(value))) return null;
+    return value >= field.min && value <= field.max ? value : null;
+}
+
+// Missing or invalid query parameters fall back to the defaults
+function readSettingsFromQuery() {
+    const params = new URLSearchParams(window.location.search);
+    const settings = { ...DEFAULT_SETTINGS };
+    SETTING_FIELDS.forEach(field => {
+        const value = parseSetting(field, params.get(field.key));
+        if (value !== null) settings[field.key] = value;
+    });
+    return settings;
+}
+
+function fillSettingsForm() {
+    SETTING_FIELDS.forEach(field => {
+        document.getElementById(field.inputId).value = String(trainingSettings[field.key]);
+    });
+}
+
+// Read the form, throwing with the first invalid field, and record the values in the URL
+function applySettingsForm() {
+    const settings = {};
+    SETTING_FIELDS.forEach(field => {
+        const value = parseSetting(field, document.getElementById(field.inputId).value);
+        if (value === null) {
+            const kind = field.integer ? 'a whole number' : 'a number';
+            throw new Error(`${field.label} must be ${kind} between ${field.min} and ${field.max}.`);
+        }
+        settings[field.key] = value;
+    });
     
-    // Reshape to get a single output value
-    const prediction = tf.layers.reshape({targetShape: [1]}).apply(dotProduct);
+    trainingSettings = settings;
+    const url = new URL(window.location.href);
+    SETTING_FIELDS.forEach(field => url.searchParams.set(field.key, String(settings[field.key])));
+    window.history.replaceState(null, '', url);
+}
+
+// Simple FNV-1a hash over the ratings, only used to detect changed data.
+// Each ID and rating is mixed in byte by byte rather than joined into one
+// string, which would not fit in memory for the larger releases.
+function computeDatasetHash() {
+    let hash = 0x811c9dc5;
+    const mix = value => {
+        for (let shift = 0; shift < 32; shift += 8) {
+            hash ^= (value >>> shift) & 0xff;
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+    };
     
-    // Create model
-    const model = tf.model({
-        inputs: [userInput, movieInput],
-        outputs: prediction
-    });
+    mix(numUsers);
+    mix(numMovies);
+    for (let row = 0; row < ratings.length; row++) {
+        mix(userIds[ratings.userIndices[row]]);
+        mix(movies[ratings.movieIndices[row]].id);
+        // Ratings are whole or half stars, so doubling keeps them exact
+        mix(Math.round(ratings.values[row] * 2));
+    }
     
-    return model;
+    return hash.toString(16);
 }
 
-async function trainModel() {
+async function restoreSavedModel() {
     try {
-        isTraining = true;
-        document.getElementById('predict-btn').disabled = true;
+        const savedModels = await tf.io.listModels();
+        if (!savedModels[MODEL_STORAGE_URL]) return false;
         
-        // Create model
-        model = createModel(numUsers, numMovies, 10);
+        const savedModel = await tf.loadLayersModel(MODEL_STORAGE_URL);
+        const metadata = savedModel.getUserDefinedMetadata();
         
-        // Compile model
-        model.compile({
-            optimizer: tf.train.adam(0.001),
-            loss: 'meanSquaredError'
-        });
+        // A model trained with other settings than the URL's would not reproduce the shared run
+        const savedSettings = metadata && metadata.trainingSettings;
+        const settingsChanged = savedSettings && SETTING_FIELDS.some(field => savedSettings[field.key] !== trainingSettings[field.key]);
+        if (!metadata || metadata.datasetHash !== datasetHash || settingsChanged) {
+            savedModel.dispose();
+            return false;
+        }
         
-        // Prepare training data
-        const userIds = ratings.map(r => r.userId);
-        const movieIds = ratings.map(r => r.movieId);
-        const ratingValues = ratings.map(r => r.rating);
+        model = savedModel;
+        return true;
+    } catch (error) {
+        // IndexedDB may be unavailable (e.g. private browsing), so just retrain
+        console.warn('Could not restore saved model:', error);
+        return false;
+    }
+}
+
+async function saveModel() {
+    try {
+        model.setUserDefinedMetadata({ datasetHash, trainingSettings });
+        await model.save(MODEL_STORAGE_URL);
+    } catch (error) {
+        console.warn('Could not save model:', error);
+    }
+}
+
+async function trainModel() {
+    try {
+        applySettingsForm();
+    } catch (error) {
+        updateStatus(error.message, true);
+        return;
+    }
+    
+    try {
+        isTraining = true;
+        document.getElementById('predict-btn').disabled = true;
+        document.getElementById('retrain-btn').disabled = true;
+        document.getElementById('cancel-btn').disabled = false;
         
-        const userTensor = tf.tensor2d(userIds, [userIds.length, 1]);
-        const movieTensor = tf.tensor2d(movieIds, [movieIds.length, 1]);
-        const ratingTensor = tf.tensor2d(ratingValues, [ratingValues.length, 1]);
+        // Week 2's matrix factorisation model, fitted on every rating in its
+        // training worker so the page stays responsive. The worker shuffles the
+        // rows before holding back 10% of them to report a validation loss
+        const settings = {
+            ...trainingSettings,
+            modelType: 'mf',
+            objective: 'explicit',
+            sampleSize: ratings.length,
+            validationFraction: 0.1,
+            earlyStoppingPatience: 0,
+            timeDecayHalfLife: 0
+        };
+        const { payload } = buildTrainingPayload(null, settings);
         
-        // Train model
         updateStatus('Training model... (This may take a moment)');
-        
-        await model.fit([userTensor, movieTensor], ratingTensor, {
-            epochs: 10,
-            batchSize: 64,
-            validationSplit: 0.1,
-            callbacks: {
-                onEpochEnd: (epoch, logs) => {
-                    updateStatus(`Training epoch ${epoch + 1}/10 - loss: ${logs.loss.toFixed(4)}`);
-                }
+        const weights = await trainInWorker(payload, progress => {
+            if (progress.stage === 'batch') {
+                updateStatus(`Training epoch ${progress.epoch + 1}/${progress.epochs} - batch ${progress.batch + 1}/${progress.batchesPerEpoch} - loss: ${progress.loss.toFixed(4)}`);
+            } else if (progress.stage === 'epoch') {
+                // The held-back ratings give a rough measure of performance on unseen data
+                updateStatus(`Training epoch ${progress.epoch + 1}/${progress.epochs} - loss: ${progress.loss.toFixed(4)} - val_loss: ${progress.validationLoss.toFixed(4)}`);
             }
         });
         
-        // Clean up tensors
-        tf.dispose([userTensor, movieTensor, ratingTensor]);
+        // The current model is only replaced once training finishes, so a
+        // cancelled run leaves it in place
+        if (model) model.dispose();
+        model = buildTrainedModel(settings, null, weights);
+        
+        await saveModel();
         
         // Update UI
         updateStatus('Model training completed successfully!');
-        document.getElementById('predict-btn').disabled = false;
-        isTraining = false;
         
     } catch (error) {
+        if (isTrainingCancelled(error)) {
+            updateStatus(model
+                ? 'Training cancelled. The previous model is still in use.'
+                : 'Training cancelled. Click "Retrain Model" to start again.');
+            return;
+        }
         console.error('Training error:', error);
         updateStatus('Error training model: ' + error.message, true);
+    } finally {
         isTraining = false;
+        document.getElementById('predict-btn').disabled = !model;
+        document.getElementById('retrain-btn').disabled = false;
+        document.getElementById('cancel-btn').disabled = true;
     }
 }
 
+// Stop the current run; the worker is terminated mid-batch (see week2/trainer.js)
+function cancelTraining() {
+    cancelWorkerTraining();
+}
+
 async function predictRating() {
     if (isTraining) {
         updateResult('Model is still training. Please wait...', 'medium');
@@ -159,10 +376,17 @@ async function predictRating() {
         return;
     }
     
+    const userIndex = userIndexById[userId];
+    const movieIndex = movieIndexById[movieId];
+    if (userIndex === undefined || movieIndex === undefined) {
+        updateResult('The selected user or movie is not in the dataset.', 'medium');
+        return;
+    }
+    
     try {
-        // Create input tensors
-        const userTensor = tf.tensor2d([[userId]]);
-        const movieTensor = tf.tensor2d([[movieId]]);
+        // Create input tensors from the dense indices the embeddings were trained on
+        const userTensor = tf.tensor2d([[userIndex]], [1, 1], 'int32');
+        const movieTensor = tf.tensor2d([[movieIndex]], [1, 1], 'int32');
         
         // Make prediction
         const prediction = model.predict([userTensor, movieTensor]);
@@ -173,17 +397,17 @@ async function predictRating() {
         tf.dispose([userTensor, movieTensor, prediction]);
         
         // Display result
-        const movie = movies.find(m => m.id === movieId);
-        const movieTitle = movie ? (movie.year ? `${movie.title} (${movie.year})` : movie.title) : `Movie ${movieId}`;
+        const movieTitle = movies[movieIndex].title;
         
         let ratingClass = 'medium';
         if (predictedRating >= 4) ratingClass = 'high';
         else if (predictedRating <= 2) ratingClass = 'low';
         
-        updateResult(
-            `Predicted rating for User ${userId} on "${movieTitle}": <strong>${predictedRating.toFixed(2)}/5</strong>`,
-            ratingClass
-        );
+        // Built from text, as the title comes from whichever dataset was loaded
+        const score = document.createElement('strong');
+        score.textContent = `${predictedRating.toFixed(2)}/5`;
+        updateResult(`Predicted rating for User ${userId} on "${movieTitle}": `, ratingClass);
+        document.getElementById('result').appendChild(score);
         
     } catch (error) {
         console.error('Prediction error:', error);
@@ -201,6 +425,6 @@ function updateStatus(message, isError = false) {
 
 function updateResult(message, className = '') {
     const resultElement = document.getElementById('result');
-    resultElement.innerHTML = message;
+    resultElement.textContent = message;
     resultElement.className = `result ${className}`;
 }